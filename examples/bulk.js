@@ -0,0 +1,29 @@
+// Example demonstrating how to enqueue many tasks at once
+
+var TaskCo = require('../index.js').setup();
+
+
+var processEmail = {
+  work: function(task, done) {
+    console.log('Sending', task.data.uid);
+    setTimeout(done, 50);
+  }
+};
+
+
+TaskCo.addProcedure('email', processEmail, { removeAfter : 5 }).andTeam(3);
+
+// Ids are reserved once and the tasks are written in a single round-trip. Items whose
+// uid is already held are reported instead of rejecting the whole batch.
+setTimeout(function() {
+
+  var list = [];
+  for (var i = 0; i < 500; ++i) list.push({ uid : "Hello" + (i % 400) });
+
+  TaskCo.quickEntryMany('email', list).then(function(res) {
+    console.log('TASKS CREATED', res.tasks.length, 'DUPLICATES', res.duplicates.length);
+  }, function(err) {
+    console.log("PROBLEM!", err)
+  });
+
+}, 500);
@@ -0,0 +1,266 @@
+"use strict";
+
+/*
+
+  ### Introduction
+  The Codecs module encodes the data and results of tasks before they are stored,
+  and decodes them when tasks are read, so that `task.data` is unaffected. Codecs are
+  set on a factory (`factory.useCodecs`) or on a procedure (`procedure.useCodecs`),
+  whose setting applies to tasks of its type instead of the factory's.
+
+  A pipeline has a serializer, which turns values into strings, and codecs which each
+  transform the resulting bytes in turn:
+  * serializer : { name, stringify(value), parse(string) }, Codecs.json by default
+  * codecs     : [{ name, encode(buffer), decode(buffer) }], where encode may return
+                 null to leave the bytes as they are (e.g. small payloads)
+
+  Values stored with the default pipeline (or with every codec skipped) are plain
+  JSON. Others are stored as $tc:<serializer>:<codecs>:<payload>, the payload being
+  base64 once a codec applied, so that they can be decoded by any process whose
+  factory or procedures define the codecs named. The arguments of task events (in
+  histories and messages) and the fields of log entries are encoded the same way.
+  Metadata is always stored as plain JSON, as the transport and monitors read it.
+
+*/
+
+
+
+// ### Dependencies
+
+var _      = require('lodash-node'),
+    crypto = require('crypto'),
+    zlib   = require('zlib');
+
+
+var Codecs = {};
+
+
+// Marks encoded values.
+var prefix = '$tc:';
+
+
+// #### json
+// The default serializer.
+Codecs.json = { name : 'json', stringify : JSON.stringify, parse : JSON.parse };
+
+
+// #### typed
+// A serializer that preserves Dates and Buffers, stored as { $date : iso } and
+// { $buffer : base64 }.
+Codecs.typed = {
+
+  name : 'typed',
+
+  stringify : function(value) {
+    return JSON.stringify(value, function(key, value) {
+      var raw = this[key];
+      if (raw instanceof Date) return { $date : raw.toISOString() };
+      if (Buffer.isBuffer(raw)) return { $buffer : raw.toString('base64') };
+      return value;
+    });
+  },
+
+  parse : function(text) {
+    return JSON.parse(text, function(key, value) {
+      if (!value || "object" != typeof value || 1 != _.keys(value).length) return value;
+      if ("string" == typeof value.$date) return new Date(value.$date);
+      if ("string" == typeof value.$buffer) return Buffer.from(value.$buffer, 'base64');
+      return value;
+    });
+  }
+
+};
+
+
+// #### function gzip - synchronous
+// Returns a codec compressing payloads of at least `threshold` bytes (1024 by
+// default) with the given `level`.
+Codecs.gzip = function(options) {
+
+  options = options || {};
+
+  var threshold = ("undefined" != typeof options.threshold) ? Number(options.threshold) : 1024,
+      settings = ("undefined" != typeof options.level) ? { level : options.level } : {};
+
+  return {
+    name   : 'gzip',
+    encode : function(buffer) { return (buffer.length < threshold) ? null : zlib.gzipSync(buffer, settings); },
+    decode : function(buffer) { return zlib.gunzipSync(buffer); }
+  };
+
+}
+
+
+// #### function aesGcm - synchronous
+// Returns a codec encrypting payloads with AES-256-GCM. The `key` is a 32 byte Buffer,
+// or a function returning the key of a key id. Payloads are encrypted with the key of
+// `keyId` ('default' unless given), and keep that id so that keys can be rotated.
+Codecs.aesGcm = function(options) {
+
+  options = options || {};
+
+  var keyId = String(options.keyId || 'default'),
+      provider = ("function" == typeof options.key) ? options.key : function() { return options.key; },
+
+      key = function(id) {
+        var key = provider(id);
+        if (!Buffer.isBuffer(key) || 32 != key.length) throw new Error("No 32 byte key for key id " + id + ".");
+        return key;
+      };
+
+  if (Buffer.byteLength(keyId) > 255) throw new Error("Key ids must be at most 255 bytes.");
+
+  return {
+
+    name : 'aes-256-gcm',
+
+    // Layout: key id length (1 byte), key id, iv (12 bytes), tag (16 bytes), ciphertext
+    encode : function(buffer) {
+      var id = Buffer.from(keyId),
+          iv = crypto.randomBytes(12),
+          cipher = crypto.createCipheriv('aes-256-gcm', key(keyId), iv),
+          encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+      return Buffer.concat([Buffer.from([id.length]), id, iv, cipher.getAuthTag(), encrypted]);
+    },
+
+    decode : function(buffer) {
+      var length = buffer[0],
+          id = buffer.slice(1, 1 + length).toString(),
+          iv = buffer.slice(1 + length, 13 + length),
+          tag = buffer.slice(13 + length, 29 + length),
+          decipher = crypto.createDecipheriv('aes-256-gcm', key(id), iv);
+
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(buffer.slice(29 + length)), decipher.final()]);
+    }
+
+  };
+
+}
+
+
+// #### function normalize - synchronous
+// Fills in the default serializer of a pipeline and ensures its parts are usable.
+// Throws on invalid pipelines. Returns the pipeline.
+Codecs.normalize = function(pipeline) {
+
+  pipeline = _.extend({ serializer : Codecs.json, codecs : [] }, pipeline);
+
+  var serializer = pipeline.serializer;
+
+  if (!serializer || "function" != typeof serializer.stringify || "function" != typeof serializer.parse)
+    throw new Error("Serializers must have stringify and parse functions.");
+
+  if (!_.isArray(pipeline.codecs)) throw new Error("Codecs must be an array.");
+
+  _.each([serializer].concat(pipeline.codecs), function(part) {
+    if (!part || "string" != typeof part.name || !part.name || /[:,]/.test(part.name))
+      throw new Error("Codecs and serializers need a name without colons or commas.");
+  });
+
+  _.each(pipeline.codecs, function(codec) {
+    if ("function" != typeof codec.encode || "function" != typeof codec.decode)
+      throw new Error("Codec " + codec.name + " must have encode and decode functions.");
+  });
+
+  return pipeline;
+
+}
+
+
+// #### function pipeline - synchronous
+// Returns the pipeline applying to tasks of a type: the procedure's, the factory's,
+// or plain JSON.
+Codecs.pipeline = function(factory, type) {
+  var procedure = factory.procedures[type];
+  return (procedure && procedure.codecs) || factory.codecs || privates.plain;
+}
+
+
+// #### function encode - synchronous
+// Encodes a value for storage with the pipeline of a type. Returns a string.
+Codecs.encode = function(factory, type, value) {
+
+  var pipeline = Codecs.pipeline(factory, type),
+      serializer = pipeline.serializer,
+      text = serializer.stringify(value),
+      buffer = null,
+      applied = [];
+
+  _.each(pipeline.codecs, function(codec) {
+    var encoded = codec.encode(buffer || Buffer.from(text));
+    if (!encoded) return;
+
+    buffer = encoded;
+    applied.push(codec.name);
+  });
+
+  if (!applied.length && 'json' == serializer.name) return text;
+
+  return prefix + serializer.name + ':' + applied.join(',') + ':' + (buffer ? buffer.toString('base64') : text);
+
+}
+
+
+// #### function decode - synchronous
+// Decodes a stored value (null if missing) of a task of a type. The codecs named are
+// looked up in the pipelines of the type, of the factory and of other procedures.
+// Throws if one is unknown. Returns the value.
+Codecs.decode = function(factory, type, stored) {
+
+  if (null === stored || "undefined" == typeof stored) return stored;
+  if (0 !== stored.indexOf(prefix)) return JSON.parse(stored);
+
+  var rest = stored.slice(prefix.length),
+      first = rest.indexOf(':'),
+      second = rest.indexOf(':', first + 1),
+      serializer = privates.find(factory, type, 'serializer', rest.slice(0, first)),
+      names = _.compact(rest.slice(first + 1, second).split(',')),
+      payload = rest.slice(second + 1);
+
+  if (names.length) {
+    var buffer = _.reduceRight(names, function(buffer, name) {
+      return privates.find(factory, type, 'codecs', name).decode(buffer);
+    }, Buffer.from(payload, 'base64'));
+
+    payload = buffer.toString();
+  }
+
+  return serializer.parse(payload);
+
+}
+
+
+
+// ### Private functions
+
+var privates = {};
+
+
+// #### plain
+// The pipeline of factories and procedures without codecs.
+privates.plain = { serializer : Codecs.json, codecs : [] };
+
+
+// #### function find - synchronous
+// Finds a serializer or a codec (as given by part) by name. Throws if none is known.
+privates.find = function(factory, type, part, name) {
+
+  var procedure = factory.procedures[type],
+      pipelines = _.compact([procedure && procedure.codecs, factory.codecs, privates.plain].concat(
+        _.pluck(_.values(factory.procedures), 'codecs')
+      ));
+
+  for (var i = 0; i < pipelines.length; ++i) {
+    var found = _.find([].concat(pipelines[i][part]), function(candidate) { return candidate.name == name; });
+    if (found) return found;
+  }
+
+  throw new Error("Unknown codec " + name + ".");
+
+}
+
+
+
+exports = module.exports = Codecs;
@@ -12,27 +12,57 @@
 (function() {
 
   // ### Dependencies
-  var Factory = require('./factory.js');
+  var Factory = require('./factory.js'),
+      Codecs  = require('./codecs.js'),
+      errors  = require('./errors.js');
 
 
   var Company = {
     // Set up default queue
-    factories : {}
+    factories : {},
+
+    // Error classes, for use with instanceof
+    errors : errors,
+
+    // Serializers and codecs, for use with useCodecs
+    codecs : Codecs
   }
 
 
   // ### Functions to attach for default factory
   var fxns = [
     'getNextId',
+    'getNextIds',
     'addProcedure',
+    'use',
+    'useCodecs',
+    'on',
     'getTask',
     'getTaskId',
     'getTaskStatus',
+    'getTaskLogs',
+    'getTaskEvents',
+    'waitForTask',
     'reserveTaskId',
     'createTask',
     'lacksTask',
     'saveTask',
+    'cancelTask',
+    'getDeadTasks',
+    'requeueDeadTask',
+    'requeueDeadTasks',
+    'purgeDeadTasks',
+    'sweepExpiredTasks',
+    'pauseType',
+    'resumeType',
+    'getQueueStatus',
+    'createFlow',
+    'getFlow',
     'quickEntry',
+    'quickEntryMany',
+    'addSchedule',
+    'removeSchedule',
+    'getSchedules',
     'addTeam',
   ];
 
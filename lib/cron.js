@@ -0,0 +1,199 @@
+"use strict";
+
+/*
+
+  ### Introduction
+  The Cron module parses five-field cron expressions (minute, hour, day of month,
+  month, day of week) and computes the times at which they fire.
+
+  Fields accept `*`, numbers, ranges (`1-5`), lists (`1,15`), steps (`*\/5`, `10-30/10`)
+  and, for months and days of week, three-letter names (`jan`, `mon`). As with cron,
+  when both day fields are restricted, a time matches if either of them does.
+
+*/
+
+
+// ### Field definitions
+var fields = [
+  { name : 'minute', min : 0, max : 59 },
+  { name : 'hour',   min : 0, max : 23 },
+  { name : 'date',   min : 1, max : 31 },
+  { name : 'month',  min : 1, max : 12, names : ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name : 'day',    min : 0, max : 7,  names : ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+
+// ### Cron Class
+// Parses the expression; throws on invalid expressions. Times are evaluated in
+// local time, or in UTC when utc is set.
+function Cron(expression, utc) {
+
+  var parts = String(expression).trim().split(/\s+/);
+
+  if (parts.length != fields.length)
+    throw new Error("Invalid cron expression " + expression + ": expected 5 fields");
+
+  this.expression = expression;
+  this.utc = !!utc;
+
+  for (var i = 0; i < fields.length; ++i)
+    this[fields[i].name] = parseField(parts[i], fields[i], expression);
+
+  // Sunday can be written as 0 or 7
+  if (this.day[7]) this.day[0] = true;
+
+  this.anyDate = '*' == parts[2].charAt(0);
+  this.anyDay = '*' == parts[4].charAt(0);
+
+}
+
+
+// #### function next - synchronous
+// Returns the first time (ms) after `from` (ms, defaults to now) at which the
+// expression fires.
+Cron.prototype.next = function(from) {
+
+  var date = new Date(("undefined" == typeof from) ? Date.now() : from),
+      get = this.utc ? getUTC : getLocal,
+      set = this.utc ? setUTC : setLocal,
+      limit = date.getTime() + 5 * 366 * 24 * 3600 * 1000;
+
+  // Start at the next whole minute
+  set(date, 'seconds', 0);
+  date.setTime(date.getTime() + 60 * 1000);
+
+  while (date.getTime() <= limit) {
+
+    if (!this.month[get(date, 'month') + 1]) {
+      set(date, 'month', get(date, 'month') + 1);
+      continue;
+    }
+
+    if (!this.matchesDay(get(date, 'date'), get(date, 'day'))) {
+      set(date, 'date', get(date, 'date') + 1);
+      continue;
+    }
+
+    if (!this.hour[get(date, 'hours')]) {
+      set(date, 'hours', get(date, 'hours') + 1);
+      continue;
+    }
+
+    if (!this.minute[get(date, 'minutes')]) {
+      set(date, 'minutes', get(date, 'minutes') + 1);
+      continue;
+    }
+
+    return date.getTime();
+  }
+
+  throw new Error("Cron expression " + this.expression + " never fires");
+
+}
+
+
+// #### function matchesDay - synchronous
+// Applies cron's rule for combining day of month and day of week.
+Cron.prototype.matchesDay = function(date, day) {
+  if (this.anyDate) return !!this.day[day];
+  if (this.anyDay) return !!this.date[date];
+  return !!this.date[date] || !!this.day[day];
+}
+
+
+
+// ### Private functions
+
+// #### function parseField
+// Returns a lookup of the values a field matches.
+function parseField(part, field, expression) {
+
+  var values = {},
+      invalid = function() {
+        return new Error("Invalid cron expression " + expression + ": bad " + field.name + " field " + part);
+      };
+
+  part.toLowerCase().split(',').forEach(function(item) {
+
+    var pieces = item.split('/'),
+        step = ("undefined" == typeof pieces[1]) ? 1 : Number(pieces[1]),
+        range = pieces[0],
+        start, end;
+
+    if (pieces.length > 2 || !(step >= 1) || Math.floor(step) != step) throw invalid();
+
+    if ('*' == range) {
+      start = field.min;
+      end = field.max;
+    } else {
+      var bounds = range.split('-');
+      if (bounds.length > 2) throw invalid();
+
+      start = toValue(bounds[0], field);
+      end = (2 == bounds.length) ? toValue(bounds[1], field) : ((pieces.length > 1) ? field.max : start);
+    }
+
+    if (isNaN(start) || isNaN(end) || start < field.min || end > field.max || start > end) throw invalid();
+
+    for (var value = start; value <= end; value += step) values[value] = true;
+
+  });
+
+  return values;
+
+}
+
+
+// #### function toValue
+// Converts a number or name to a field value.
+function toValue(token, field) {
+  if (field.names && !!~field.names.indexOf(token))
+    return field.names.indexOf(token) + ('month' == field.name ? 1 : 0);
+  return /^\d+$/.test(token) ? Number(token) : NaN;
+}
+
+
+// Date accessors: field names match Date methods (e.g. getHours/getUTCHours).
+function getLocal(date, name) {
+  return date['get' + capitalize(name)]();
+}
+
+function getUTC(date, name) {
+  return date['getUTC' + capitalize(name)]();
+}
+
+
+// Setting a unit resets all smaller units.
+var smaller = {
+  month   : ['date', 'hours', 'minutes', 'seconds', 'milliseconds'],
+  date    : ['hours', 'minutes', 'seconds', 'milliseconds'],
+  hours   : ['minutes', 'seconds', 'milliseconds'],
+  minutes : ['seconds', 'milliseconds'],
+  seconds : ['milliseconds']
+};
+
+function setLocal(date, name, value) {
+  reset(date, name, value, 'set');
+}
+
+function setUTC(date, name, value) {
+  reset(date, name, value, 'setUTC');
+}
+
+function reset(date, name, value, setter) {
+  var units = smaller[name];
+
+  // Avoid overflowing into the following month (e.g. from the 31st)
+  if ('month' == name) date[setter + 'Date'](1);
+
+  date[setter + capitalize(name)](value);
+  for (var i = 0; i < units.length; ++i)
+    date[setter + capitalize(units[i])]('date' == units[i] ? 1 : 0);
+}
+
+function capitalize(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+
+module.exports = Cron;
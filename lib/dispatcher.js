@@ -14,7 +14,8 @@
 // ### Dependencies
 var _ = require('lodash-node'),
     when = require('when'),
-    sequence = require('when/sequence');
+    Codecs = require('./codecs'),
+    Tasks = require('./tasks');
 
 
 // Store private methods (can be exposed for testing using rewire)
@@ -45,6 +46,8 @@ function Dispatcher(factory) {
   this.factory = factory;
   this.prefix = factory.prefix;
   this.eventsKey =  factory.prefix + "events";
+  this.pausedKey = factory.prefix + "paused";
+  this.notificationsKey = factory.prefix + "notifications";
   this.waitlist = {};
 
   // Bound functions
@@ -52,16 +55,29 @@ function Dispatcher(factory) {
   this.routeMessage = privates.routeMessage.bind(this);
   this.ignoreTask = privates.ignoreTask.bind(this);
 
-  // List of tasks the dispatcher is watching
+  // Lists of task objects the dispatcher is watching, by id
   this.tasks = {};
   this.subscribed = false;
-  factory.broker.getSubscriber().then(function(c) { self.subscriber = c; self = null; });
+  this.listening = null;
+  this.ready = factory.broker.getSubscriber().then(function(c) { self.subscriber = c; self = null; return c; });
 
 }
 
 
 // #### function getNextJob
-// Checks for the next job of a particular type.
+// Checks for the next job of a particular type. The transport pops the job's
+// signal and its id from the waiting queue in a single atomic operation.
+//
+// Procedures with a `globalConcurrency` or a `rateLimit` ({ max, per } with per in ms)
+// first reserve a slot shared by all processes (see privates.reserve), and try again
+// later if there is none. While holding slots, the dispatcher only waits a second
+// for a job before giving them back.
+//
+// Jobs past their deadline (see the task `expiresIn` option) are expired instead of
+// being delegated.
+//
+// While a type is paused (see pause), no job is dequeued and the dispatcher checks
+// again every second. A job dequeued as the type was paused is queued again.
 Dispatcher.prototype.getNextJob = function(type) {
 
   var cleanUp = function() {
@@ -70,25 +86,58 @@ Dispatcher.prototype.getNextJob = function(type) {
 
   try {
 
-    var self       = this,
-        masterKey  = this.prefix + 'tasks:' + type,
-        waitKey    = this.prefix + 'tasks:' + type + ':waiting',
-
-        blockPop   = function(c) { return c.blockPop(masterKey, 0); },
-        sortedPop  = function(c) { return c.sortedPop(waitKey); },
-        getTask    = function(c) { return sequence([blockPop, sortedPop], c); },
+    var self        = this,
+        masterKey   = this.prefix + 'tasks:' + type,
+        waitKey     = this.prefix + 'tasks:' + type + ':waiting',
+        limited     = privates.limited(this.factory, type),
+        reservation = null,
+
+        getTask    = function(c) {
+          return c.hashGet(self.pausedKey, type).then(function(paused) {
+            if (paused) return { wait : privates.pausePoll };
+            return dequeue(c).then(admit);
+          });
+        },
+
+        dequeue    = function(c) {
+          if (!limited) return c.dequeue(masterKey, waitKey, 0);
+
+          return privates.reserve(c, self.factory, type).then(function(reserved) {
+            if (reserved.wait) return reserved;
+
+            return c.dequeue(masterKey, waitKey, 1).then(function(id) {
+              reservation = reserved;
+              return privates.settle(c, reserved, id).then(function() { return id; });
+            });
+          });
+        },
+
+        admit      = function(id) {
+          if (null === id || "undefined" == typeof id || id.wait) return id;
+          return privates.admit(self, type, id, reservation);
+        },
+
+        runTask    = function(id) {
+          var getNextJob = self.getNextJob.bind(self);
+
+          // No slot is available: try again later.
+          if (id && id.wait) {
+            setTimeout(function(){ getNextJob(type); getNextJob = null; }, id.wait);
+            return when.resolve();
+          }
 
-        runTask    = function(res) {
-          var id   = res[1];
+          // Nothing was dequeued: keep waiting.
+          if (null === id || "undefined" == typeof id) {
+            process.nextTick(function(){ getNextJob(type); getNextJob = null; });
+            return when.resolve();
+          }
 
           if (self.waitlist[type].length) {
             var team = self.waitlist[type].shift();
             team.delegate(id);
 
-            if (self.waitlist[type].length) {
-              var getNextJob = self.getNextJob.bind(self);
+            if (self.waitlist[type].length)
               process.nextTick(function(){ getNextJob(type); getNextJob = null; });
-            }
           }
 
           return when.resolve();
@@ -103,28 +152,296 @@ Dispatcher.prototype.getNextJob = function(type) {
 }
 
 
+// #### function pause - asynchronous
+// Pauses a type in every process: dispatchers stop delegating its tasks, and tasks
+// already running finish. The flag is stored in :paused. Returns a valueless promise.
+Dispatcher.prototype.pause = function(type) {
+
+  var key = this.pausedKey;
+
+  return this.factory.execute(function(c) {
+    return c.hashSet(key, type, Date.now());
+  });
+
+}
+
+
+// #### function resume - asynchronous
+// Clears the paused flag of a type. Dispatchers resume delegating its tasks within
+// a second. Returns a valueless promise.
+Dispatcher.prototype.resume = function(type) {
+
+  var key = this.pausedKey;
+
+  return this.factory.execute(function(c) {
+    return c.hashUnset(key, [type]);
+  });
+
+}
+
+
+// #### function admit - asynchronous
+// Checks a dequeued job before it is delegated: it is queued again if its type was
+// paused meanwhile (resolving with { wait : ms }), or expired if it is past its
+// deadline (resolving with null). Either way, the slots reserved for it (if any, see
+// privates.reserve) are given back. Otherwise, resolves with its id.
+privates.admit = function(dispatcher, type, id, reservation) {
+
+  var factory = dispatcher.factory;
+
+  return factory.execute(function(c) {
+    return c.hashGet(dispatcher.pausedKey, type).then(function(paused) {
+      if (!paused) return privates.skipExpired(factory, id).then(function(admitted) {
+        if (null !== admitted) return admitted;
+        return privates.release(c, reservation, id).then(function() { return null; });
+      });
+
+      return privates.release(c, reservation, id)
+                     .then(function() { return Tasks.get(factory, id, c); })
+                     .then(function(task) { return task.queue(); })
+                     .then(function() { return { wait : privates.pausePoll }; });
+    });
+  });
+
+}
+
+
+// #### function release - asynchronous
+// Gives back the slots of a reservation whose job is not delegated: the job's lease
+// in :active (see privates.settle) and its slot of the :rate window. Returns a
+// valueless promise.
+privates.release = function(client, reservation, id) {
+
+  if (!reservation) return when.resolve();
+
+  var concurrency = function() {
+    if (!reservation.activeKey) return when.resolve();
+    return client.hashUnset(reservation.activeKey, [id]);
+  };
+
+  var rate = function() {
+    if (!reservation.rateKey) return when.resolve();
+    return client.scheduleRemove(reservation.rateKey, [reservation.slot]);
+  };
+
+  return concurrency().then(rate);
+
+}
+
+
+// #### function skipExpired - asynchronous
+// Expires a dequeued task that is past its deadline, unless it is being retried
+// (see Task.expired). Resolves with null if it expired, and with its id otherwise.
+privates.skipExpired = function(factory, id) {
+
+  var key = factory.prefix + 'tasks:' + id;
+
+  return factory.execute(function(c) {
+    return c.hashGet(key, 'metadata');
+  })
+
+  .then(function(metadata) {
+    metadata = metadata ? JSON.parse(metadata) : {};
+    if (metadata.attempts > 0 || !(metadata.expiresAt <= Date.now())) return id;
+
+    return Tasks.get(factory, id)
+                .then(function(task) { return task.expire(); })
+                .then(function() { return null; });
+  });
+
+}
+
+
+// #### function limited
+// Returns the settings of a type's procedure if it has a rateLimit or globalConcurrency.
+privates.limited = function(factory, type) {
+  var procedure = factory.procedures[type],
+      defaults = procedure ? procedure.defaults : {};
+
+  return (defaults.rateLimit || defaults.globalConcurrency > 0) ? defaults : null;
+}
+
+
+// #### function reserve - asynchronous
+// Reserves the slots a type's procedure requires before a job is dequeued:
+// * globalConcurrency : a placeholder lease in :active, which only admits a new lease
+//   while fewer leases than the limit are unexpired. As leases of crashed workers
+//   expire, their slots are never leaked.
+// * rateLimit         : a slot of the :rate window (see transport rateAcquire)
+// Resolves with the reservation, or with { wait : ms } if a slot is unavailable.
+privates.reserve = function(client, factory, type) {
+
+  var settings    = privates.limited(factory, type),
+      prefix      = factory.prefix + 'tasks:' + type,
+      reservation = {
+        slot      : Date.now() + ':' + Math.random().toString(36).slice(2),
+        lease     : 1000 * (Number(settings.lease) || 30),
+        activeKey : settings.globalConcurrency > 0 ? prefix + ':active' : null,
+        rateKey   : settings.rateLimit ? prefix + ':rate' : null
+      };
+
+  var concurrency = function() {
+    if (!reservation.activeKey) return when.resolve(true);
+
+    return client.semaphoreAcquire(reservation.activeKey, 'slot:' + reservation.slot,
+                                   settings.globalConcurrency, reservation.lease);
+  };
+
+  var rate = function() {
+    if (!reservation.rateKey) return when.resolve(0);
+
+    var limit = settings.rateLimit;
+    return client.rateAcquire(reservation.rateKey, reservation.slot, limit.max, limit.per);
+  };
+
+  return concurrency().then(function(acquired) {
+    if (!acquired) return { wait : privates.concurrencyPoll };
+
+    return rate().then(function(wait) {
+      if (!wait) return reservation;
+
+      // Give the concurrency slot back while waiting for the rate limit
+      return privates.settle(client, reservation, null).then(function() {
+        return { wait : wait };
+      });
+    });
+  });
+
+}
+
+
+// #### function settle - asynchronous
+// Once a job is dequeued, its lease replaces the placeholder holding its concurrency
+// slot (the rate slot is kept). If none was, the slots are given back.
+privates.settle = function(client, reservation, id) {
+
+  var placeholder = 'slot:' + reservation.slot,
+      dequeued = (null !== id && "undefined" != typeof id);
+
+  var concurrency = function() {
+    if (!reservation.activeKey) return when.resolve();
+    if (!dequeued) return client.hashUnset(reservation.activeKey, [placeholder]);
+
+    return client.leaseSet(reservation.activeKey, id, reservation.lease).then(function() {
+      return client.hashUnset(reservation.activeKey, [placeholder]);
+    });
+  };
+
+  var rate = function() {
+    if (!reservation.rateKey || dequeued) return when.resolve();
+    return client.scheduleRemove(reservation.rateKey, [reservation.slot]);
+  };
+
+  return concurrency().then(rate);
+
+}
+
+
+// #### concurrencyPoll
+// Milliseconds to wait before checking again for a concurrency slot.
+privates.concurrencyPoll = 250;
+
+
+// #### pausePoll
+// Milliseconds to wait before checking again whether a paused type was resumed.
+privates.pausePoll = 1000;
+
+
 // #### function subscribe
-// Subscribes to the events message queue
+// Subscribes to the events message queue. Returns a promise that resolves once
+// the subscription is in place.
 Dispatcher.prototype.subscribe = function() {
-  if (this.subscribed) return;
-  this.subscriber.subscribe(this.eventsKey);
-  this.subscriber.on('message', this.routeMessage);
+  if (this.subscription) return this.subscription;
+
+  var self = this;
   this.subscribed = true;
+
+  // The subscriber connection may still be opening.
+  this.subscription = this.ready.then(function(subscriber) {
+    var deferred = when.defer(),
+        eventsKey = self.eventsKey;
+
+    subscriber.on('subscribe', function(channel) {
+      if (eventsKey == channel) deferred.resolve();
+    });
+
+    subscriber.on('message', self.routeMessage);
+    subscriber.subscribe(eventsKey);
+    self = null;
+
+    return deferred.promise;
+  });
+
+  return this.subscription;
+}
+
+
+// #### function listen
+// Subscribes to the notifications message queue as well, for factory-wide task
+// events (see notify). Returns a promise that resolves once the subscription is
+// in place.
+Dispatcher.prototype.listen = function() {
+  if (this.listening) return this.listening;
+
+  var ready = this.ready,
+      notificationsKey = this.notificationsKey;
+
+  // The events subscription attaches the message handler.
+  this.listening = this.subscribe().then(function() {
+    return ready;
+  })
+
+  .then(function(subscriber) {
+    var deferred = when.defer();
+
+    subscriber.on('subscribe', function(channel) {
+      if (notificationsKey == channel) deferred.resolve();
+    });
+
+    subscriber.subscribe(notificationsKey);
+
+    return deferred.promise;
+  });
+
+  return this.listening;
 }
 
 
 // #### function watchTask
-// Adds a task to our watch list.
+// Adds a task to our watch list. Several task objects may watch the same id
+// (e.g. a producer's and a worker's within one process), and an object may be
+// watched several times (see unwatchTask). Returns a promise that resolves once
+// events for the task are received.
 Dispatcher.prototype.watchTask = function(task) {
-  if (task.id) this.tasks[task.id] = task;
-  if (!this.subscribed) this.subscribe();
+  if (task.id) {
+    var watching = this.tasks[task.id] = this.tasks[task.id] || [];
+    if (!~watching.indexOf(task)) watching.push(task);
+    task.watches = (task.watches || 0) + 1;
+  }
+
+  return this.subscribe();
+}
+
+
+// #### function unwatchTask
+// Undoes one watchTask of a task object: the object is removed from our watch list
+// once nothing else watches it (e.g. listeners bound with task.on).
+Dispatcher.prototype.unwatchTask = function(task) {
+  if (--task.watches > 0) return;
+  this.ignoreTask(task.id, task);
 }
 
 
 // #### function ignoreTask
-// Removes a task from our watch list.
-privates.ignoreTask = function(id) {
-  if (this.tasks[id]) delete this.tasks[id];
+// Removes a task from our watch list: only the given task object if provided,
+// otherwise every object watching the id.
+privates.ignoreTask = function(id, task) {
+  if (!this.tasks[id]) return;
+
+  _.each(task ? [task] : this.tasks[id], function(task) { delete task.watches; });
+
+  if (task) this.tasks[id] = _.without(this.tasks[id], task);
+  if (!task || !this.tasks[id].length) delete this.tasks[id];
 }
 
 
@@ -133,21 +450,29 @@ privates.ignoreTask = function(id) {
 // so as not to crash the server.
 privates.routeMessage = function(channel, message) {
 
+  if (this.notificationsKey == channel) return privates.routeNotification(this.factory, message);
+
   try {
 
     var message = JSON.parse(message),
-        task    = this.tasks[message.id];
-
-    if (task) {
+        tasks   = (this.tasks[message.id] || []).slice(),
+        args    = tasks.length ? Codecs.decode(this.factory, message.type, message.args) : [];
+
+    // Listeners replaying history read the event's number (see Task.on)
+    for (var i = 0; i < tasks.length; ++i) {
+      tasks[i].eventSeq = message.seq;
+      tasks[i].emit.apply(tasks[i], args);
+      delete tasks[i].eventSeq;
+    }
 
-      task.emit.apply(task, _.values(message.args));
+    if (tasks.length) {
 
       // Remove task on "remove" event, or with removeAfter if event
       // is failure or success.
       if ('remove' == message.event) this.ignoreTask(message.id);
 
       else {
-        var removeAfter = task.metadata.removeAfter;
+        var removeAfter = tasks[0].metadata.removeAfter;
 
         if ("undefined" != typeof removeAfter && !!~['success', 'failure'].indexOf(message.event)) {
           var self = this;
@@ -167,19 +492,58 @@ privates.routeMessage = function(channel, message) {
 }
 
 
+// #### function routeNotification
+// Emits a task event on the factory under each name that matches it: <type>:<event>,
+// <type>:*, and the same with `task` and `*` standing for any type. Errors raised by
+// listeners are logged.
+privates.routeNotification = function(factory, message) {
+
+  try {
+
+    var message = JSON.parse(message),
+        names = [];
+
+    _.each([message.type, 'task', '*'], function(type) {
+      _.each([message.event, '*'], function(event) {
+        names.push(type + ':' + event);
+      });
+    });
+
+    _.each(_.uniq(names), function(name) {
+      factory.emit(name, message);
+    });
+
+  } catch (err) {
+    console.log("Error", err);
+  }
+
+}
+
+
 // #### function broadcast
-// Broadcasts a message to other dispatchers.
-Dispatcher.prototype.broadcast = function(event, id, args) {
+// Broadcasts a message to other dispatchers. The event is first recorded in the
+// task's history (see record), and the message carries its number. Its arguments are
+// encoded with the codecs of the task's type (see Codecs). The `complete` event
+// (see Task.result) is only published, at the cost of one call.
+Dispatcher.prototype.broadcast = function(event, id, type, args, history) {
 
   if (!event) return;
 
-  var eventsKey = this.eventsKey,
-      message = JSON.stringify({ id : id, event : event, args : args });
+  try {
+    var self = this,
+        eventsKey = this.eventsKey,
+        message = { id : id, type : type, event : event, args : Codecs.encode(this.factory, type, _.values(args)) };
+  } catch (err) { return when.reject(err); }
 
   return this.factory.execute(function(c) {
-    return c.publish(eventsKey, message);
+    return self.record(event, id, type, args, history, c).then(function(seq) {
+      if (seq) message.seq = seq;
+      return c.publish(eventsKey, JSON.stringify(message));
+    });
   })
 
+  .ensure(function() { self = null; })
+
   .otherwise(function(err) {
     console.log("ERROR", err);
     return when.reject(err);
@@ -189,4 +553,54 @@ Dispatcher.prototype.broadcast = function(event, id, args) {
 
 
 
+// #### function notify - asynchronous
+// Publishes a task event { id, type, event, metadata } to every process listening
+// for factory-wide events (see listen). Returns a valueless promise; failures are
+// logged.
+Dispatcher.prototype.notify = function(event, task) {
+
+  var notificationsKey = this.notificationsKey,
+      message = JSON.stringify({ id : task.id, type : task.type, event : event, metadata : task.metadata });
+
+  return this.factory.execute(function(c) {
+    return c.publish(notificationsKey, message);
+  })
+
+  .otherwise(function(err) {
+    console.log("ERROR", err);
+  });
+
+}
+
+
+
+// #### function record - asynchronous
+// Appends an event { seq, event, args, time } to a task's history in :tasks:3:events,
+// which keeps the latest `history` events (none if 0). Events are numbered from 1 by
+// the counter in :tasks:3:seq. Events of tasks that no longer exist, such as `remove`,
+// are not recorded, as the task is removed along with its history, nor is `complete`,
+// which only signals waiting producers (see Task.result). The event is checked, numbered
+// and appended atomically (see transport historyPush). Returns a promise with the
+// event's number, if recorded. The arguments are encoded with the codecs of
+// the task's type (see Codecs).
+Dispatcher.prototype.record = function(event, id, type, args, history, client) {
+
+  var taskKey = this.prefix + 'tasks:' + id,
+      key = taskKey + ':events',
+      seqKey = taskKey + ':seq';
+
+  if (!(history > 0) || 'remove' == event || 'complete' == event) return when.resolve(null);
+
+  try {
+    var encoded = Codecs.encode(this.factory, type, _.values(args).slice(1));
+  } catch (err) { return when.reject(err); }
+
+  return this.factory.execute(client, function(c) {
+    return c.historyPush(key, { event : event, args : encoded, time : Date.now() }, history, seqKey, taskKey);
+  });
+
+}
+
+
+
 exports = module.exports = Dispatcher;
@@ -0,0 +1,61 @@
+"use strict";
+
+/*
+
+  ### Introduction
+  The Errors module defines the errors TaskCo raises, so that callers can tell
+  them apart (e.g. `err instanceof TimeoutError`) from errors raised by procedures.
+
+*/
+
+
+var errors = module.exports = {};
+
+
+// #### function define
+// Creates an error class with the given name.
+function define(name) {
+
+  function TaskCoError(message) {
+    Error.call(this);
+    if (Error.captureStackTrace) Error.captureStackTrace(this, TaskCoError);
+    this.name = name;
+    this.message = message;
+  }
+
+  TaskCoError.prototype.__proto__ = Error.prototype;
+  return TaskCoError;
+
+}
+
+
+// #### TimeoutError
+// A task ran longer than its `timeout` option allows.
+errors.TimeoutError = define('TimeoutError');
+
+
+// #### CancelledError
+// A task was cancelled while a worker was running it.
+errors.CancelledError = define('CancelledError');
+
+
+// #### TaskFailedError
+// A task that was waited on failed. The message is the error the task failed with.
+errors.TaskFailedError = define('TaskFailedError');
+
+
+// #### DuplicateTaskError
+// A task was saved with a uid held by another task (see the `unique` option). The id
+// of the task holding the uid is available as `id`.
+errors.DuplicateTaskError = define('DuplicateTaskError');
+
+
+// #### VetoedError
+// A task was not saved because a beforeSave middleware hook vetoed it (see Middleware).
+errors.VetoedError = define('VetoedError');
+
+
+// #### ValidationError
+// A task's data does not match its procedure's `schema` (see Schema). The problems
+// found are available as `errors`, a list of { path, message }.
+errors.ValidationError = define('ValidationError');
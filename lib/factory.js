@@ -3,7 +3,8 @@
 /*
 
   ### Introduction
-  The Factory module adds procedures, houses teams and appoints dispatchers.
+  The Factory module adds procedures, houses teams and appoints dispatchers
+  and schedulers.
 
 */
 
@@ -11,11 +12,18 @@
 
 // ### Dependencies
 var when         = require('when'),
+    sequence     = require('when/sequence'),
     EventEmitter = require('events').EventEmitter,
     Broker       = require('./broker'),
+    Codecs       = require('./codecs'),
     Dispatcher   = require('./dispatcher'),
+    errors       = require('./errors'),
+    Flow         = require('./flow'),
+    Middleware   = require('./middleware'),
     Monitor      = require('./monitor'),
     Procedure    = require('./procedure'),
+    Scheduler    = require('./scheduler'),
+    Schema       = require('./schema'),
     Tasks        = require('./tasks'),
     Team         = require('./team'),
     Worker       = require('./worker');
@@ -42,7 +50,10 @@ function Factory(name, cxnSetting, poolSettings) {
   this.broker = new Broker(cxnSetting, poolSettings);
   this.teams = {};
   this.procedures = {};
+  this.middleware = [];
+  this.codecs = null;
   this.dispatcher = new Dispatcher(this);
+  this.scheduler = new Scheduler(this);
 
   // Bound functions
   this.release = release.bind(this);
@@ -54,6 +65,24 @@ Factory.prototype.__proto__ = EventEmitter.prototype;
 
 
 
+// #### function on
+// Binds listeners as an EventEmitter. Events named <type>:<event> are task events
+// from every process: `email:failure` fires for each failed email task, and `task`
+// or `*` stand for any type and any event (e.g. `task:success`, `email:*`). Listeners
+// receive { id, type, event, metadata }. Returns the factory.
+Factory.prototype.on = Factory.prototype.addListener = function(event, listener) {
+
+  EventEmitter.prototype.on.call(this, event, listener);
+
+  if ("string" == typeof event && !!~event.indexOf(':'))
+    this.dispatcher.listen().otherwise(function(err) { console.log(err); });
+
+  return this;
+
+}
+
+
+
 // #### function execute
 // Many functions need to either use a client given to them, or
 // acquire one from the factory. The execute function handles these use-cases,
@@ -121,9 +150,48 @@ Factory.prototype.getNextId = function(name) {
 }
 
 
+// #### function getNextIds - asynchronous
+// Reserves count ids at once with a single increment. Returns a promise with the ids.
+Factory.prototype.getNextIds = function(name, count) {
+
+  var key = this.prefix + 'counters';
+
+  if (!count) return when.resolve([]);
+
+  return this.execute(function(c) {
+    return c.hashIncrement(key, name, count);
+  })
+
+  .then(function(last) {
+    var ids = [];
+    for (var id = last - count + 1; id <= last; ++id) ids.push(id);
+    return ids;
+  });
+
+}
+
+
 
 // ### PROCEDURE FUNCTIONS
 
+// #### function use
+// Adds middleware that applies to tasks of every type: hooks around the execution of
+// `work` and the saving of tasks (see Middleware). Returns the factory.
+Factory.prototype.use = function(middleware) {
+  this.middleware.push(Middleware.normalize(middleware));
+  return this;
+}
+
+
+// #### function useCodecs
+// Sets the serializer and codecs encoding the data and results of tasks of every type
+// that does not set its own (see Codecs). Returns the factory.
+Factory.prototype.useCodecs = function(pipeline) {
+  this.codecs = Codecs.normalize(pipeline);
+  return this;
+}
+
+
 // #### function addProcedure
 // Accepts name (string), template, and optional settings. A template should be
 // an object with a "work" function. It cannot used reserved keywords listed in Procedure
@@ -134,8 +202,13 @@ Factory.prototype.addProcedure = function(name, template, settings) {
   if ("function" == typeof template && 0 == Object.keys(template).length)
     template = { work : template };
 
-  this.procedures[name] = new Procedure(this, name, template, settings);
-  return this.procedures[name];
+  var procedure = this.procedures[name] = new Procedure(this, name, template, settings);
+
+  // Aging is stored in the transport, for processes that don't define the procedure
+  if ("undefined" != typeof procedure.defaults.aging)
+    Tasks.setAging(this, name, procedure.defaults.aging).otherwise(function(err) { console.log(err); });
+
+  return procedure;
 
 }
 
@@ -145,6 +218,7 @@ Factory.prototype.addProcedure = function(name, template, settings) {
 
 // #### function createTask
 // Assigns a task an id and returns a promise with said task. Predecessory to saveTask.
+// Rejects with a ValidationError if the data does not match the procedure's schema.
 Factory.prototype.createTask = function(type, data, options) {
   return Tasks.create(this, type, data, options || {});
 }
@@ -171,6 +245,30 @@ Factory.prototype.getTaskStatus = function(id) {
 }
 
 
+// #### function getTaskLogs
+// Gets a task's log entries (see Task.log), oldest first. Options include offset and
+// limit. Returns a promise with the entries.
+Factory.prototype.getTaskLogs = function(id, options) {
+  return Tasks.getLogs(this, id, options);
+}
+
+
+// #### function getTaskEvents
+// Gets the events recorded for a task (see the `maxEvents` option), oldest first.
+// Returns a promise with the events as { seq, event, args, time }.
+Factory.prototype.getTaskEvents = function(id) {
+  return Tasks.getEvents(this, id);
+}
+
+
+// #### function waitForTask
+// Waits for a task to end, in any process. Resolves with its result, or rejects
+// with the error it failed with. Options include timeout (seconds).
+Factory.prototype.waitForTask = function(id, options) {
+  return Tasks.waitFor(this, id, options);
+}
+
+
 // #### function reserveTaskId
 // Finds a task's id based on its type/uid.
 Factory.prototype.reserveTaskId = function(type) {
@@ -185,9 +283,105 @@ Factory.prototype.saveTask = function(task) {
 }
 
 
+// #### function cancelTask
+// Cancels a task: waiting/delayed tasks are removed from the queue, and the worker
+// of an active task receives a `cancel` event. Returns a promise with the task.
+Factory.prototype.cancelTask = function(id) {
+  return Tasks.cancel(this, id);
+}
+
+
+// #### function getDeadTasks
+// Lists permanently failed tasks of a type, with their error and attempt history.
+// Options include offset and limit. Returns a promise with the tasks.
+Factory.prototype.getDeadTasks = function(type, options) {
+  return Tasks.getDead(this, type, options);
+}
+
+
+// #### function requeueDeadTask
+// Queues a permanently failed task again with fresh attempts. Rejects if the task
+// is not dead-lettered, or its uid is now held by another task.
+Factory.prototype.requeueDeadTask = function(id) {
+  var factory = this;
+
+  return Tasks.get(this, id).then(function(task) {
+    return Tasks.requeueDead(factory, task.type, [id]);
+  })
+
+  .then(function(ids) {
+    if (!ids.length) return when.reject(new Error("Task " + id + " could not be requeued"));
+    return ids[0];
+  });
+}
+
+
+// #### function requeueDeadTasks
+// Queues all permanently failed tasks of a type again with fresh attempts.
+// Returns a promise with the ids requeued.
+Factory.prototype.requeueDeadTasks = function(type) {
+  return Tasks.requeueDead(this, type);
+}
+
+
+// #### function purgeDeadTasks
+// Removes permanently failed tasks of a type, optionally only those that failed
+// more than `olderThan` seconds ago. Returns a promise with the ids removed.
+Factory.prototype.purgeDeadTasks = function(type, options) {
+  return Tasks.purgeDead(this, type, options);
+}
+
+
+// #### function sweepExpiredTasks
+// Expires tasks of a type that did not start before their deadline (see the
+// `expiresIn` option). Teams do so periodically. Returns a promise with the ids expired.
+Factory.prototype.sweepExpiredTasks = function(type) {
+  return Tasks.sweepExpired(this, type);
+}
+
+
+// #### function pauseType
+// Stops delegating tasks of a type in every process until resumed. Tasks already
+// running finish, and tasks can still be added. Returns a valueless promise.
+Factory.prototype.pauseType = function(type) {
+  return this.dispatcher.pause(type);
+}
+
+
+// #### function resumeType
+// Resumes delegating tasks of a paused type. Returns a valueless promise.
+Factory.prototype.resumeType = function(type) {
+  return this.dispatcher.resume(type);
+}
+
+
+// #### function getQueueStatus
+// Returns a promise with the number of tasks of a type by queue, and whether the
+// type is paused (see Monitor.queueStatus).
+Factory.prototype.getQueueStatus = function(type) {
+  return Monitor.queueStatus(this, type);
+}
+
+
+// #### function createFlow
+// Creates and saves a graph of dependent tasks, described by named nodes such as
+// { resize : { type : 'resize', data : {}, options : {}, dependsOn : ['fetch'] } }.
+// Returns a promise with the flow (see Flow.status for its overall state).
+Factory.prototype.createFlow = function(nodes) {
+  return Flow.create(this, nodes);
+}
+
+
+// #### function getFlow
+// Returns a promise with a flow based on its id.
+Factory.prototype.getFlow = function(id) {
+  return Flow.get(this, id);
+}
+
+
 // #### function quickEntry
-// Creates and saves a task. Does not return the task object.
-// Accordingly, it does not notify the creator of creation errors.
+// Creates and saves a task. Returns a promise with the task, or with the task
+// already holding its uid (see the `unique` option).
 Factory.prototype.quickEntry = function(type, data, options) {
 
   var task,
@@ -198,8 +392,8 @@ Factory.prototype.quickEntry = function(type, data, options) {
         task = t;
         return task.save();
       })
-      .then(function() {
-        deferred.resolve(task);
+      .then(function(saved) {
+        deferred.resolve(saved);
       })
       .otherwise(function(err) {
         deferred.reject(err);
@@ -212,6 +406,98 @@ Factory.prototype.quickEntry = function(type, data, options) {
 }
 
 
+// #### function quickEntryMany
+// Creates and saves many tasks of a type at once, one for each item of data, with
+// a single id reservation and batched writes (see Tasks.saveMany). Items whose uid
+// is held by an existing task, or by an earlier item, follow the `unique` policy as
+// with quickEntry (see Task.deduplicate): rejected items are reported as duplicates,
+// and the others resolve with the task holding the uid. Items vetoed by beforeSave
+// middleware hooks, or whose data (as changed by the hooks) does not match the
+// procedure's schema, are not saved either. Returns a promise with { tasks,
+// duplicates, vetoed, invalid }, where tasks are the tasks saved or held (in the
+// order of the items), duplicates lists the rejected items as { index, uid, id } (id
+// being the task holding the uid), and vetoed and invalid as { index, error }.
+Factory.prototype.quickEntryMany = function(type, list, options) {
+
+  var factory = this,
+      stack = Middleware.stack(this, this.procedures[type]),
+      tasks = [],
+      saved = [],
+      duplicates = [],
+      vetoed = [],
+      invalid = [];
+
+  return Tasks.createMany(this, type, list || [], options || {})
+              .then(function(created) {
+                return when.all(created.map(function(task, index) {
+                  return Middleware.beforeSave(stack, task).then(function() {
+                    try {
+                      Schema.check(factory.procedures[type], type, task.data);
+                    } catch (err) {
+                      invalid.push({ index : index, error : err });
+                      return null;
+                    }
+
+                    return task;
+                  }, function(err) {
+                    vetoed.push({ index : index, error : err });
+                    return null;
+                  });
+                }));
+              })
+              .then(function(created) {
+                tasks = created;
+
+                var uids = tasks.filter(function(task) { return task && "undefined" != typeof task.uid; })
+                                .map(function(task) { return task.uid; });
+
+                return Monitor.findExistsMany(factory, type, uids);
+              })
+              .then(function(existing) {
+                var seen = {};
+
+                // Items are handled in order, as earlier items hold the uid of later ones
+                return sequence(tasks.map(function(task, index) {
+                  return function() {
+                    if (!task || "undefined" == typeof task.uid) return task;
+
+                    var uid = task.uid,
+                        dedupe = function(holder, client) {
+                          return task.deduplicate(holder, client).otherwise(function(err) {
+                            if (!(err instanceof errors.DuplicateTaskError)) return when.reject(err);
+                            duplicates.push({ index : index, uid : uid, id : holder.id });
+                            return null;
+                          });
+                        };
+
+                    // Earlier items are not saved yet: their data changes in place
+                    if (seen[uid]) return dedupe(seen[uid]);
+                    if (!existing[uid]) return (seen[uid] = task);
+
+                    return factory.execute(function(c) {
+                      return Tasks.get(factory, existing[uid], c).then(function(holder) {
+                        return dedupe(holder, c);
+                      });
+                    });
+                  };
+                }));
+              })
+              .then(function(resolved) {
+                saved = tasks.filter(function(task, index) { return task && resolved[index] === task; });
+                tasks = resolved.filter(function(task) { return !!task; });
+                return Tasks.saveMany(factory, type, saved);
+              })
+              .then(function() {
+                return when.map(saved, function(task) { return Middleware.afterSave(stack, task); });
+              })
+              .then(function() {
+                return { tasks : tasks, duplicates : duplicates, vetoed : vetoed, invalid : invalid };
+              })
+              .ensure(function() { factory = null; });
+
+}
+
+
 // #### function lacksTask
 // Ensures task does not exist based on type and uid. If task exists,
 // rejection includes taskId. If error, rejection include error.
@@ -231,6 +517,37 @@ Factory.prototype.lacksTask = function(type, uid, client) {
 
 
 
+
+// ### SCHEDULE FUNCTIONS
+
+// #### function addSchedule
+// Enqueues a task of a type on a recurring schedule, given as a cron expression
+// (`cron`, optionally `utc`) or an interval in ms (`every`). Other options are
+// passed to each task. Missed ticks follow the `missed` policy (once, catchUp or
+// skip). Schedules are shared by all processes using the factory, and each tick is
+// enqueued once. Returns a promise with the schedule.
+Factory.prototype.addSchedule = function(name, type, data, options) {
+  this.scheduler.start();
+  return this.scheduler.add(name, type, data, options);
+}
+
+
+// #### function removeSchedule
+// Stops a recurring schedule. Returns a valueless promise.
+Factory.prototype.removeSchedule = function(name) {
+  return this.scheduler.remove(name);
+}
+
+
+// #### function getSchedules
+// Returns a promise with the recurring schedules, by name.
+Factory.prototype.getSchedules = function() {
+  return this.scheduler.list();
+}
+
+
+
+
 // ### TEAM FUNCTIONS
 
 // #### function addTeam
@@ -259,6 +576,9 @@ Factory.prototype.addTeam = function(name, options, autostart) {
   // Auto-start is added here in order to prevent race conditions
   if (autostart) this.teams[name].start();
 
+  // Processes with teams also enqueue recurring tasks
+  this.scheduler.start();
+
   return this.teams[name];
 
 }
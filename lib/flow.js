@@ -0,0 +1,229 @@
+"use strict";
+
+/*
+
+  ### Introduction
+  The Flow module creates graphs of dependent tasks (see the `dependsOn` task option)
+  in one go, and reports on their progress.
+
+  A flow is described by named nodes, each with a type, and optionally data, options
+  and the names of the nodes it depends on:
+
+    {
+      fetch   : { type : 'fetch', data : { url : url } },
+      resize  : { type : 'resize', dependsOn : ['fetch'] },
+      publish : { type : 'publish', dependsOn : ['resize'], options : { onParentFailure : 'skip' } }
+    }
+
+  The ids of a flow's tasks are stored in :flows:<id>, and each task has the flow's
+  id in its metadata.
+
+*/
+
+
+
+// ### Dependencies
+
+var _        = require('lodash-node'),
+    when     = require('when'),
+    sequence = require('when/sequence'),
+    Task     = require('./task'),
+    Tasks    = require('./tasks');
+
+
+
+// ### Flow Class
+
+function Flow(factory, id, tasks) {
+  this.factory = factory;
+  this.id = id;
+  this.key = factory.prefix + 'flows:' + id;
+  this.tasks = tasks || {};
+}
+
+
+// #### function status - asynchronous
+// Returns a promise with the state of the flow and of each of its tasks (by name).
+// A flow is `active` until all its tasks ended, and then either `success` (all of
+// them succeeded) or `failure`.
+Flow.prototype.status = function() {
+
+  var id     = this.id,
+      names  = _.keys(this.tasks),
+      tasks  = this.tasks,
+      prefix = this.factory.prefix + 'tasks:';
+
+  return this.factory.execute(function(c) {
+    return when.map(names, function(name) {
+      return c.hashGet(prefix + tasks[name], 'metadata').then(function(metadata) {
+        return metadata ? JSON.parse(metadata).state : 'removed';
+      });
+    });
+  })
+
+  .then(function(states) {
+    var status = { id : id, tasks : _.zipObject(names, states) };
+
+    if (_.every(states, function(state) { return 'success' == state; }))
+      status.state = 'success';
+    else if (_.some(states, function(state) { return !~privates.endStates.indexOf(state); }))
+      status.state = 'active';
+    else
+      status.state = 'failure';
+
+    return status;
+  });
+
+}
+
+
+
+// ### Flow functions
+
+// #### function create - asynchronous
+// Creates and saves the tasks of a flow, parents first. Rejects if nodes depend
+// on unknown nodes or on each other in a cycle. If a task fails to save (e.g. it is
+// vetoed or a duplicate), the flow is rolled back (see privates.rollBack) and the
+// error propagated. Returns a promise with the flow.
+Flow.create = function(factory, nodes) {
+
+  try {
+    var order = privates.order(nodes || {});
+  } catch (err) { return when.reject(err); }
+
+  var flow, tasks = {}, saved = [];
+
+  return factory.getNextId('flow')
+                .then(function(id) {
+                  flow = new Flow(factory, id);
+
+                  return sequence(_.map(order, function(name) {
+                    return function() { return privates.createTask(flow, tasks, name, nodes[name]); };
+                  }));
+                })
+                .then(function() {
+                  return factory.execute(function(c) {
+                    return c.hashSet(flow.key, 'tasks', flow.tasks);
+                  });
+                })
+                .then(function() {
+                  // Parents are saved first, as tasks require the tasks they depend on
+                  return sequence(_.map(order, function(name) {
+                    return function() {
+                      return tasks[name].save().then(function(task) {
+                        if (task === tasks[name]) saved.push(task);
+                      });
+                    };
+                  }));
+                })
+                .then(function() {
+                  return flow;
+                }, function(err) {
+                  if (!flow) return when.reject(err);
+                  return privates.rollBack(flow, saved).then(function() { return when.reject(err); });
+                })
+                .ensure(function() { tasks = saved = null; });
+
+}
+
+
+// #### function get - asynchronous
+// Returns a promise with a flow based on its id.
+Flow.get = function(factory, id) {
+
+  var key = factory.prefix + 'flows:' + id;
+
+  return factory.execute(function(c) {
+    return c.hashGet(key, 'tasks').then(function(tasks) {
+      if (!tasks) return when.reject(new Error("Flow not found"));
+      return new Flow(factory, id, JSON.parse(tasks));
+    });
+  });
+
+}
+
+
+
+// ### Private functions
+
+var privates = {};
+
+
+// #### endStates
+// States in which a task is no longer processed (see Task), or no longer exists.
+privates.endStates = Task.endStates.concat('removed');
+
+
+// #### function order - synchronous
+// Sorts the names of a flow's nodes so that each node comes after the nodes it
+// depends on. Throws on unknown dependencies and cycles.
+privates.order = function(nodes) {
+
+  var order = [],
+      visiting = {},
+
+      visit = function(name, path) {
+        if (!!~order.indexOf(name)) return;
+        if (visiting[name]) throw new Error("Flow has a cycle: " + path.concat(name).join(' -> '));
+
+        if (!nodes[name]) throw new Error("Flow node " + _.last(path) + " depends on unknown node " + name);
+        if (!nodes[name].type) throw new Error("Flow node " + name + " has no type");
+
+        visiting[name] = true;
+        _.each([].concat(nodes[name].dependsOn || []), function(parent) {
+          visit(parent, path.concat(name));
+        });
+        visiting[name] = false;
+
+        order.push(name);
+      };
+
+  _.each(_.keys(nodes), function(name) { visit(name, []); });
+
+  return order;
+
+}
+
+
+// #### function rollBack - asynchronous
+// Cancels and removes the tasks of a flow that were saved, children first, and then
+// the flow. Tasks that already ended are kept. Errors are ignored. Returns a
+// valueless promise.
+privates.rollBack = function(flow, saved) {
+
+  return sequence(_.map(saved.slice().reverse(), function(task) {
+    return function() {
+      return task.cancel().then(task.remove).otherwise(function() {});
+    };
+  }))
+
+  .then(function() {
+    return flow.factory.execute(function(c) { return c.remove(flow.key); });
+  })
+
+  .otherwise(function() {});
+
+}
+
+
+// #### function createTask - asynchronous
+// Creates (without saving) the task of a flow's node, once the tasks of its parents
+// were created.
+privates.createTask = function(flow, tasks, name, node) {
+
+  var ids = flow.tasks,
+      options = _.extend({}, node.options, {
+        flow      : flow.id,
+        dependsOn : _.map([].concat(node.dependsOn || []), function(parent) { return ids[parent]; })
+      });
+
+  return Tasks.create(flow.factory, node.type, node.data, options).then(function(task) {
+    tasks[name] = task;
+    ids[name] = task.id;
+  });
+
+}
+
+
+
+exports = module.exports = Flow;
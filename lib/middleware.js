@@ -0,0 +1,165 @@
+"use strict";
+
+/*
+
+  ### Introduction
+  The Middleware module runs hooks around the execution and the saving of tasks.
+  Middleware is added to a factory (`factory.use`) or to a procedure (`procedure.use`),
+  and applies to every task of the factory or of the procedure's type. Factory
+  middleware wraps procedure middleware, and each wraps middleware added after it.
+
+  Middleware is an object with any of the following hooks, each of which may return
+  a promise. A function is shorthand for { around : fn }.
+  * before(task)           : runs before `work`; a rejection fails the attempt
+  * around(task, next)     : wraps `work`: next() returns a promise of its result, and
+                             the hook's returned value (or promise) is used as the result
+  * after(task, result)    : runs after `work` succeeded (innermost middleware first)
+  * onError(task, err)     : runs when an attempt fails; errors it raises are ignored
+  * beforeSave(task)       : runs before a task is saved, and may change its data and
+                             metadata; resolving with false vetoes the task
+  * afterSave(task)        : runs once a task is saved
+
+*/
+
+
+
+// ### Dependencies
+
+var _        = require('lodash-node'),
+    when     = require('when'),
+    sequence = require('when/sequence'),
+    errors   = require('./errors');
+
+
+var Middleware = {};
+
+
+// Names of the hooks middleware can define.
+var hooks = ['before', 'around', 'after', 'onError', 'beforeSave', 'afterSave'];
+
+
+// #### function normalize - synchronous
+// Converts a function to { around : fn } and ensures middleware only defines known
+// hooks. Throws on invalid middleware. Returns the middleware.
+Middleware.normalize = function(middleware) {
+
+  if ("function" == typeof middleware) return { around : middleware };
+
+  if (!middleware || "object" != typeof middleware)
+    throw new Error("Middleware must be a function or an object of hooks.");
+
+  _.each(_.keys(middleware), function(hook) {
+    if (!~hooks.indexOf(hook)) throw new Error("Unknown middleware hook " + hook + ".");
+    if ("function" != typeof middleware[hook]) throw new Error("Middleware hook " + hook + " must be a function.");
+  });
+
+  return middleware;
+
+}
+
+
+// #### function stack - synchronous
+// Returns the middleware applying to tasks of a procedure (which may be undefined
+// for producers that lack the procedure definition), outermost first.
+Middleware.stack = function(factory, procedure) {
+  return (factory.middleware || []).concat((procedure && procedure.middleware) || []);
+}
+
+
+// #### function run - asynchronous
+// Runs `work` (a function returning a promise of the result) within a stack's
+// before, around and after hooks. Returns a promise with the result.
+Middleware.run = function(stack, task, work) {
+
+  var around = _.reduceRight(privates.hooks(stack, 'around'), function(next, hook) {
+    return function() { return when(hook(task, next)); };
+  }, work);
+
+  return sequence(_.map(privates.hooks(stack, 'before'), function(hook) {
+    return function() { return hook(task); };
+  }))
+
+  .then(function() {
+    return around();
+  })
+
+  .then(function(result) {
+    var after = privates.hooks(stack, 'after').reverse();
+
+    return sequence(_.map(after, function(hook) {
+      return function() { return hook(task, result); };
+    }))
+
+    .then(function() { return result; });
+  });
+
+}
+
+
+// #### function fail - asynchronous
+// Runs a stack's onError hooks (innermost middleware first). Errors raised by the
+// hooks are logged and ignored. Returns a valueless promise.
+Middleware.fail = function(stack, task, err) {
+
+  var onError = privates.hooks(stack, 'onError').reverse();
+
+  return sequence(_.map(onError, function(hook) {
+    return function() {
+      return when.resolve().then(function() { return hook(task, err); })
+                           .otherwise(function(hookErr) { console.log(hookErr); });
+    };
+  }));
+
+}
+
+
+// #### function beforeSave - asynchronous
+// Runs a stack's beforeSave hooks. Rejects with a VetoedError if a hook resolves with
+// false, or with the error a hook raised. Returns a valueless promise.
+Middleware.beforeSave = function(stack, task) {
+
+  var previous = _.clone(task.metadata);
+
+  return sequence(_.map(privates.hooks(stack, 'beforeSave'), function(hook) {
+    return function() {
+      return when.resolve().then(function() { return hook(task); }).then(function(allowed) {
+        if (false === allowed) return when.reject(new errors.VetoedError("Task " + task.id + " was vetoed"));
+      });
+    };
+  }))
+
+  // Hooks may change the task's uid along with its data, and its options
+  .then(function() {
+    if (task.data && "undefined" != typeof task.data.uid) task.uid = task.data.uid;
+    task.refresh(previous);
+  });
+
+}
+
+
+// #### function afterSave - asynchronous
+// Runs a stack's afterSave hooks. Returns a valueless promise.
+Middleware.afterSave = function(stack, task) {
+
+  return sequence(_.map(privates.hooks(stack, 'afterSave'), function(hook) {
+    return function() { return hook(task); };
+  }));
+
+}
+
+
+
+// ### Private functions
+
+var privates = {};
+
+
+// #### function hooks - synchronous
+// Returns the hooks of a given name in a stack, outermost first.
+privates.hooks = function(stack, name) {
+  return _.compact(_.pluck(stack, name));
+}
+
+
+
+exports = module.exports = Middleware;
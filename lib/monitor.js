@@ -18,6 +18,58 @@ var when  = require('when'),
 var Monitor = {};
 
 
+// States in which a task holds its uid.
+var liveStates = ['active', 'waiting', 'delayed', 'blocked'];
+
+
+// #### function holdsUid
+// Indicates whether a task holds its uid: while it is live, and, for tasks with a
+// `uniqueWindow` (seconds), for that long after succeeding.
+function holdsUid(metadata) {
+  if (liveStates.indexOf(metadata.state) > -1) return true;
+
+  return 'success' == metadata.state && metadata.uniqueWindow > 0 &&
+         metadata.ended + 1000 * metadata.uniqueWindow > Date.now();
+}
+
+
+// ### Statistics
+
+// #### function queueStatus
+// Counts the tasks of a type by queue. Returns a promise with { type, paused, waiting,
+// delayed, active, dead }; paused indicates whether the type is paused (see Dispatcher.pause).
+Monitor.queueStatus = function(factory, type, client) {
+
+  var prefix = factory.prefix + 'tasks:' + type;
+
+  return factory.execute(client, function(c) {
+    return when.all([
+      c.hashGet(factory.prefix + 'paused', type),
+      c.sortedCount(prefix + ':waiting'),
+      c.sortedCount(prefix + ':delayed'),
+      c.hashGetAll(prefix + ':active'),
+      c.sortedCount(prefix + ':dead')
+    ]);
+  })
+
+  .then(function(counts) {
+    // Leases also hold slots reserved by dispatchers (see Dispatcher privates.reserve)
+    var active = Object.keys(counts[3] || {}).filter(function(id) { return 0 != id.indexOf('slot:'); });
+
+    return {
+      type    : type,
+      paused  : !!counts[0],
+      waiting : Number(counts[1]),
+      delayed : Number(counts[2]),
+      active  : active.length,
+      dead    : Number(counts[4])
+    };
+  });
+
+}
+
+
+
 // ### Queries
 
 // #### function find
@@ -53,16 +105,19 @@ Monitor.findId = function(factory, type, uid, client) {
 
 
 // #### function findExists
-// Promise that resolves if task exists in active/waiting state.
+// Promise that resolves with the id of the task holding a uid (see holdsUid). If no
+// task holds it, rejects without an error.
 Monitor.findExists = function(factory, type, uid, client) {
 
   return factory.execute(client, function(c) {
-    return Monitor.find(factory, type, uid, c)
-                  .then(function(task) {
-                    if ("undefined" != typeof task && ['active', 'waiting'].indexOf(task.info().state) > -1)
-                      return when.resolve(task.id);
-                    else
-                      return when.reject(task ? task.id : undefined);
+    return Monitor.findId(factory, type, uid, c)
+                  .then(function(id) {
+                    return c.hashGet(factory.prefix + 'tasks:' + id, 'metadata').then(function(metadata) {
+                      if (metadata && holdsUid(JSON.parse(metadata)))
+                        return when.resolve(id);
+                      else
+                        return when.reject();
+                    });
                   });
 
   });
@@ -70,6 +125,39 @@ Monitor.findExists = function(factory, type, uid, client) {
 }
 
 
+// #### function findExistsMany
+// Checks many uids at once, using a pipelined round-trip for the uids and another
+// for the tasks found. Returns a promise with the ids of the tasks holding the uids
+// (see holdsUid), by uid.
+Monitor.findExistsMany = function(factory, type, uids, client) {
+
+  var key = factory.prefix + type + ':uids',
+      prefix = factory.prefix + 'tasks:',
+      existing = {},
+      found = [];
+
+  if (!uids.length) return when.resolve(existing);
+
+  return factory.execute(client, function(c) {
+    return c.pipeline(uids.map(function(uid) { return ['hashGet', [key, uid]]; }))
+            .then(function(ids) {
+              for (var i = 0; i < uids.length; ++i)
+                if (!!ids[i]) found.push([uids[i], ids[i]]);
+
+              return c.pipeline(found.map(function(pair) { return ['hashGet', [prefix + pair[1], 'metadata']]; }));
+            })
+            .then(function(metadata) {
+              for (var i = 0; i < found.length; ++i)
+                if (metadata[i] && holdsUid(JSON.parse(metadata[i])))
+                  existing[found[i][0]] = found[i][1];
+
+              return existing;
+            });
+  });
+
+}
+
+
 // ### Statistics - NEEDS VOLUNTEERS
 
 
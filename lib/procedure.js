@@ -9,9 +9,15 @@
 
 
 // ### Dependencies
+var Codecs     = require('./codecs'),
+    Middleware = require('./middleware'),
+    Schema     = require('./schema');
 
 
-// Options can include priority, delay, maxAttempts, removeAfter.
+// Options can include priority, delay, runAt, maxAttempts, backoff, timeout, removeAfter, lease,
+// unique, uniqueWindow, maxLogs, rateLimit ({ max, per } with per in ms), globalConcurrency
+// (tasks running at once across all processes, see Dispatcher) and aging (seconds after
+// which waiting tasks gain a priority, see Task.queue, or false to stop aging).
 function Procedure(factory, name, template, options) {
 
   this.factory = factory;
@@ -22,7 +28,8 @@ function Procedure(factory, name, template, options) {
   else
     this.work = template.work;
 
-  // Copy template objects/functions to procedure. Exclude reserved keywords.
+  // Copy template objects/functions to procedure. Exclude reserved keywords. The
+  // template's `schema` describes the data of its tasks (see Schema).
   var reserved = ['prefix', 'name', 'defaults', 'on'];
 
   this.handlers = {};
@@ -30,17 +37,51 @@ function Procedure(factory, name, template, options) {
     if (template.hasOwnProperty(key)) {
       if (reserved.indexOf(key) > -1)
         throw new Error("Reserved key " + key + " cannot be used in template.");
-      if (key != 'work') this.handlers[key] = template[key];
+      if (key == 'schema') this.schema = Schema.normalize(template.schema);
+      else if (key != 'work') this.handlers[key] = template[key];
     }
   }
 
   this.prefix = factory.prefix;
+  this.middleware = [];
+  this.codecs = null;
   this.name = name;
   this.defaults = options || {};
 
+  // Ensure that the rate limit is usable.
+  var rateLimit = this.defaults.rateLimit;
+  if (rateLimit && (!(rateLimit.max >= 1) || !(rateLimit.per > 0)))
+    throw new Error("rateLimit must include max (at least 1) and per (ms).");
+
+  var concurrency = this.defaults.globalConcurrency;
+  if ("undefined" != typeof concurrency && !(concurrency >= 1))
+    throw new Error("globalConcurrency must be at least 1.");
+
+  var aging = this.defaults.aging;
+  if ("undefined" != typeof aging && false !== aging && !(aging > 0))
+    throw new Error("aging must be a number of seconds.");
+
 }
 
 
+// #### function use
+// Adds middleware that applies to tasks of this procedure's type (see Middleware).
+// Returns the procedure for chaining: e.g. factory.addProcedure().use(fn).andTeam()
+Procedure.prototype.use = function(middleware) {
+  this.middleware.push(Middleware.normalize(middleware));
+  return this;
+};
+
+
+// #### function useCodecs
+// Sets the serializer and codecs encoding the data and results of this procedure's
+// tasks, instead of the factory's (see Codecs). Returns the procedure for chaining.
+Procedure.prototype.useCodecs = function(pipeline) {
+  this.codecs = Codecs.normalize(pipeline);
+  return this;
+};
+
+
 // #### function andTeam
 // Helper function to create a team based off of current procedure.
 // Used while chaining: e.g. factory.addProcedure().andTeam()
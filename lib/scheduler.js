@@ -0,0 +1,282 @@
+"use strict";
+
+/*
+
+  ### Introduction
+  The Scheduler module enqueues recurring tasks. Schedules are stored in the transport,
+  and every process with a started scheduler checks for due schedules.
+
+  Each schedule's next tick is kept in :schedules:next. A process claims a due tick by
+  atomically moving the schedule to its following tick (see transport scheduleAdvance),
+  so that each tick is enqueued by a single process.
+
+  After downtime, ticks that were missed are handled according to the `missed` policy:
+  * once    : a single task is enqueued for all missed ticks (default)
+  * catchUp : a task is enqueued for every missed tick (up to `catchUpLimit`)
+  * skip    : missed ticks are dropped; the latest tick only runs if it is no more
+              than `grace` ms late
+
+*/
+
+
+
+// ### Dependencies
+var _    = require('lodash-node'),
+    when = require('when'),
+    Cron = require('./cron');
+
+
+// Store private methods (can be exposed for testing using rewire)
+var privates = {};
+
+
+// Options that describe the schedule itself: the rest are passed on to tasks.
+var scheduleOptions = ['cron', 'every', 'utc', 'missed', 'grace', 'catchUpLimit'];
+
+
+
+function Scheduler(factory) {
+
+  this.factory = factory;
+  this.key = factory.prefix + 'schedules';
+  this.nextKey = factory.prefix + 'schedules:next';
+  this.timer = null;
+
+  // Bound functions
+  this.tick = privates.tick.bind(this);
+
+}
+
+
+// #### function start
+// Starts checking for due schedules every `interval` ms (defaults to one second).
+// The timer does not keep the process alive.
+Scheduler.prototype.start = function(interval) {
+
+  if (this.timer) return;
+
+  var tick = this.tick;
+
+  this.timer = setInterval(function() {
+    tick().otherwise(function(err) { console.log(err); });
+  }, interval || 1000);
+
+  if (this.timer.unref) this.timer.unref();
+
+}
+
+
+// #### function stop
+// Stops checking for due schedules.
+Scheduler.prototype.stop = function() {
+  if (this.timer) clearInterval(this.timer);
+  this.timer = null;
+}
+
+
+// #### function add - asynchronous
+// Stores a schedule (replacing any with the same name) and its first tick.
+// Options must include `cron` (expression) or `every` (ms). If the same schedule is
+// already stored (e.g. as processes restart), it is kept along with its pending tick,
+// so that ticks missed meanwhile follow the missed policy. Returns a promise with the
+// schedule.
+Scheduler.prototype.add = function(name, type, data, options) {
+
+  try {
+
+    options = options || {};
+
+    var key      = this.key,
+        nextKey  = this.nextKey,
+        schedule = _.pick(options, scheduleOptions);
+
+    schedule.name = name;
+    schedule.type = type;
+    schedule.data = data || {};
+    schedule.options = _.omit(options, scheduleOptions);
+    schedule.created = Date.now();
+    schedule.missed = schedule.missed || 'once';
+
+    if (!~['once', 'catchUp', 'skip'].indexOf(schedule.missed))
+      throw new Error("Unknown missed tick policy " + schedule.missed);
+
+    if ("undefined" != typeof schedule.cron)
+      new Cron(schedule.cron, schedule.utc);
+    else if (!(schedule.every > 0))
+      throw new Error("Schedule " + name + " requires a cron expression or an every interval");
+
+    var next = privates.nextTick(schedule, schedule.created);
+
+  } catch (err) { return when.reject(err); }
+
+  return this.factory.execute(function(c) {
+    return c.hashGet(key, name).then(function(stored) {
+      stored = stored && JSON.parse(stored);
+      if (privates.same(stored, schedule)) return stored;
+
+      return c.hashSet(key, name, schedule)
+              .then(function() { return c.scheduleAdd(nextKey, [next, name]); })
+              .then(function() { return schedule; });
+    });
+  });
+
+}
+
+
+// #### function remove - asynchronous
+// Removes a schedule. Returns a valueless promise.
+Scheduler.prototype.remove = function(name) {
+
+  var key = this.key,
+      nextKey = this.nextKey;
+
+  return this.factory.execute(function(c) {
+    return c.scheduleRemove(nextKey, [name]).then(function() {
+      return c.hashUnset(key, [name]);
+    });
+  });
+
+}
+
+
+// #### function list - asynchronous
+// Returns a promise with the stored schedules, by name.
+Scheduler.prototype.list = function() {
+
+  var key = this.key;
+
+  return this.factory.execute(function(c) {
+    return c.hashGetAll(key).then(function(schedules) {
+      var parsed = {};
+      for (var name in schedules) parsed[name] = JSON.parse(schedules[name]);
+      return parsed;
+    });
+  });
+
+}
+
+
+// #### function tick - asynchronous
+// Enqueues tasks for every due schedule this process claims. Returns a promise
+// with the tasks enqueued.
+privates.tick = function() {
+
+  var self = this,
+      now = Date.now();
+
+  return this.factory.execute(function(c) {
+    return c.scheduleDue(self.nextKey, now, 100).then(function(due) {
+      return when.map(due, function(pair) {
+        return privates.fire(self, c, pair[0], pair[1], now);
+      });
+    });
+  })
+
+  .then(function(tasks) {
+    return _.flatten(tasks);
+  })
+
+  .ensure(function() { self = null; });
+
+}
+
+
+// #### function fire - asynchronous
+// Claims a due tick of a schedule and enqueues its tasks according to the
+// missed tick policy. Returns a promise with the tasks enqueued.
+privates.fire = function(scheduler, c, name, time, now) {
+
+  var factory = scheduler.factory;
+
+  return c.hashGet(scheduler.key, name).then(function(schedule) {
+
+    // The schedule was removed
+    if (!schedule) return c.scheduleRemove(scheduler.nextKey, [name]).then(function() { return []; });
+
+    schedule = JSON.parse(schedule);
+
+    var ticks = privates.dueTicks(schedule, time, now),
+        next = privates.nextTick(schedule, now);
+
+    return c.scheduleAdvance(scheduler.nextKey, name, time, next).then(function(claimed) {
+      if (!claimed) return [];
+
+      return when.map(ticks, function(tick) {
+        var options = _.extend({}, schedule.options, { schedule : name, scheduledAt : tick });
+        return factory.quickEntry(schedule.type, _.clone(schedule.data), options);
+      });
+    });
+
+  });
+
+}
+
+
+// #### function dueTicks - synchronous
+// Returns the ticks to enqueue for a schedule due at time, given the missed policy.
+// Only catchUp lists missed ticks (up to `catchUpLimit`); the other policies look up
+// the latest one directly.
+privates.dueTicks = function(schedule, time, now) {
+
+  var next = privates.ticker(schedule),
+      ticks = [time],
+      limit = schedule.catchUpLimit || 100,
+      last = time,
+      tick = time;
+
+  if ('catchUp' == schedule.missed) {
+    while (ticks.length < limit && (tick = next(tick)) <= now) ticks.push(tick);
+    return ticks;
+  }
+
+  if ("undefined" == typeof schedule.cron) {
+    var every = Number(schedule.every);
+    last = Math.max(time, schedule.created + Math.floor((now - schedule.created) / every) * every);
+  } else {
+    while ((tick = next(tick)) <= now) last = tick;
+  }
+
+  if ('skip' == schedule.missed && now - last > (schedule.grace || 60000)) return [];
+  return [last];
+
+}
+
+
+// #### function nextTick - synchronous
+// Returns a schedule's first tick (ms) after `after`.
+privates.nextTick = function(schedule, after) {
+  return privates.ticker(schedule)(after);
+}
+
+
+// #### function ticker - synchronous
+// Returns a function that returns a schedule's first tick (ms) after a time, so that
+// a cron expression is only parsed once for several ticks.
+privates.ticker = function(schedule) {
+
+  if ("undefined" != typeof schedule.cron) {
+    var cron = new Cron(schedule.cron, schedule.utc);
+    return function(after) { return cron.next(after); };
+  }
+
+  var every = Number(schedule.every),
+      anchor = schedule.created;
+
+  return function(after) {
+    return anchor + (Math.floor((after - anchor) / every) + 1) * every;
+  };
+
+}
+
+
+// #### function same - synchronous
+// Indicates whether a stored schedule has the same definition as a new one (their
+// creation time aside).
+privates.same = function(stored, schedule) {
+  if (!stored) return false;
+  return _.isEqual(_.omit(stored, 'created'), JSON.parse(JSON.stringify(_.omit(schedule, 'created'))));
+}
+
+
+
+exports = module.exports = Scheduler;
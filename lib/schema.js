@@ -0,0 +1,194 @@
+"use strict";
+
+/*
+
+  ### Introduction
+  The Schema module validates task data against the `schema` of a procedure, a
+  subset of JSON Schema:
+  * type                       : 'string', 'number', 'integer', 'boolean', 'object',
+                                 'array' or 'null', or an array of those
+  * enum                       : an array of allowed values
+  * minimum, maximum           : bounds of numbers
+  * minLength, maxLength       : bounds of string lengths
+  * pattern                    : a regular expression strings must match
+  * properties                 : schemas of an object's properties, by name
+  * required                   : names of the properties an object must have
+  * additionalProperties       : false to reject properties not listed in properties
+  * items                      : the schema of an array's items
+  * minItems, maxItems         : bounds of array lengths
+
+  Validation fails with a ValidationError whose `errors` list every problem found as
+  { path, message }, path being the location in the data (e.g. `data.to[0]`).
+
+*/
+
+
+
+// ### Dependencies
+
+var _      = require('lodash-node'),
+    errors = require('./errors');
+
+
+var Schema = {};
+
+
+// Keywords a schema can use.
+var keywords = [
+  'type', 'enum', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern',
+  'properties', 'required', 'additionalProperties', 'items', 'minItems', 'maxItems',
+  'title', 'description'
+];
+
+
+// Types a schema can require.
+var types = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+
+// #### function normalize - synchronous
+// Ensures a schema (and the schemas it nests) only uses known keywords and types.
+// Throws on invalid schemas. Returns the schema.
+Schema.normalize = function(schema, path) {
+
+  path = path || 'schema';
+
+  if (!schema || "object" != typeof schema || _.isArray(schema))
+    throw new Error("Schema " + path + " must be an object.");
+
+  _.each(_.keys(schema), function(keyword) {
+    if (!~keywords.indexOf(keyword)) throw new Error("Unknown schema keyword " + keyword + " in " + path + ".");
+  });
+
+  _.each([].concat(schema.type || []), function(type) {
+    if (!~types.indexOf(type)) throw new Error("Unknown schema type " + type + " in " + path + ".");
+  });
+
+  if (schema.enum && !_.isArray(schema.enum))
+    throw new Error("Schema " + path + ".enum must be an array.");
+
+  if (schema.required && !_.isArray(schema.required))
+    throw new Error("Schema " + path + ".required must be an array.");
+
+  if ("undefined" != typeof schema.pattern) new RegExp(schema.pattern);
+
+  _.each(schema.properties || {}, function(property, name) {
+    Schema.normalize(property, path + '.properties.' + name);
+  });
+
+  if (schema.items) Schema.normalize(schema.items, path + '.items');
+
+  return schema;
+
+}
+
+
+// #### function validate - synchronous
+// Returns the problems found validating a value against a schema, as { path, message }
+// (none when the value is valid).
+Schema.validate = function(schema, value, path) {
+
+  var problems = [],
+      fail = function(message) { problems.push({ path : path, message : message }); };
+
+  path = path || 'data';
+
+  if (schema.type && !_.some([].concat(schema.type), function(type) { return privates.is(type, value); })) {
+    fail("must be of type " + [].concat(schema.type).join(' or '));
+    return problems;
+  }
+
+  if (schema.enum && !_.some(schema.enum, function(allowed) { return _.isEqual(allowed, value); }))
+    fail("must be one of " + JSON.stringify(schema.enum));
+
+  if ("number" == typeof value) {
+    if ("undefined" != typeof schema.minimum && value < schema.minimum) fail("must be at least " + schema.minimum);
+    if ("undefined" != typeof schema.maximum && value > schema.maximum) fail("must be at most " + schema.maximum);
+  }
+
+  if ("string" == typeof value) {
+    if ("undefined" != typeof schema.minLength && value.length < schema.minLength)
+      fail("must have at least " + schema.minLength + " characters");
+    if ("undefined" != typeof schema.maxLength && value.length > schema.maxLength)
+      fail("must have at most " + schema.maxLength + " characters");
+    if ("undefined" != typeof schema.pattern && !new RegExp(schema.pattern).test(value))
+      fail("must match " + schema.pattern);
+  }
+
+  if (_.isArray(value)) {
+    if ("undefined" != typeof schema.minItems && value.length < schema.minItems)
+      fail("must have at least " + schema.minItems + " items");
+    if ("undefined" != typeof schema.maxItems && value.length > schema.maxItems)
+      fail("must have at most " + schema.maxItems + " items");
+
+    if (schema.items)
+      _.each(value, function(item, i) {
+        problems.push.apply(problems, Schema.validate(schema.items, item, path + '[' + i + ']'));
+      });
+  }
+
+  else if (privates.is('object', value)) {
+    var properties = schema.properties || {};
+
+    _.each(schema.required || [], function(name) {
+      if ("undefined" == typeof value[name]) problems.push({ path : path + '.' + name, message : "is required" });
+    });
+
+    _.each(_.keys(value), function(name) {
+      if (properties[name]) {
+        if ("undefined" != typeof value[name])
+          problems.push.apply(problems, Schema.validate(properties[name], value[name], path + '.' + name));
+      }
+      else if (false === schema.additionalProperties)
+        problems.push({ path : path + '.' + name, message : "is not allowed" });
+    });
+  }
+
+  return problems;
+
+}
+
+
+// #### function check - synchronous
+// Validates the data of a task of a given type against its procedure's schema, if
+// any. Throws a ValidationError listing the problems found.
+Schema.check = function(procedure, type, data) {
+
+  if (!procedure || !procedure.schema) return;
+
+  var problems = Schema.validate(procedure.schema, data);
+  if (!problems.length) return;
+
+  var err = new errors.ValidationError("Invalid data for " + type + ": " + _.map(problems, function(problem) {
+    return problem.path + " " + problem.message;
+  }).join(', '));
+
+  err.errors = problems;
+  throw err;
+
+}
+
+
+
+// ### Private functions
+
+var privates = {};
+
+
+// #### function is - synchronous
+// Indicates whether a value is of a schema type.
+privates.is = function(type, value) {
+
+  switch (type) {
+    case 'null':    return null === value;
+    case 'array':   return _.isArray(value);
+    case 'object':  return null !== value && "object" == typeof value && !_.isArray(value);
+    case 'integer': return "number" == typeof value && isFinite(value) && Math.floor(value) === value;
+    case 'number':  return "number" == typeof value && isFinite(value);
+    default:        return type == typeof value;
+  }
+
+}
+
+
+
+exports = module.exports = Schema;
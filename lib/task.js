@@ -11,11 +11,27 @@
   2. The task is added to the set :tasks:email:waiting
   3. The task id is added to :tasks:email
 
+  Tasks with a `delay` (seconds) or `runAt` (date) option are instead added to
+  :tasks:email:delayed, and teams promote them to steps 2 and 3 once due.
+
+  Tasks with an `expiresIn` option (seconds) must start before their deadline, which
+  is stored as metadata.expiresAt and indexed in :tasks:email:expiring. Tasks found
+  past their deadline end with state `expired` instead (see Task.expire).
+
+  Tasks with a `dependsOn` option (ids of other tasks) are `blocked` instead: they
+  are added to :tasks:<parent>:dependents of each parent, and their pending parents
+  are kept in :tasks:3:parents. When a parent ends, it claims its entry there. The
+  task is queued once every parent succeeded; otherwise it fails, or is skipped if
+  its `onParentFailure` option is 'skip'.
+
   The job process goes as follows:
   1. The change to :tasks:emails alerts manager that to process something.
-  2. The manager attempts to pop highest priority from :tasks:emails:waiting
+  2. The manager atomically pops the signal from :tasks:email along with the highest
+     priority from :tasks:email:waiting
   3. The team asssigns a worker to process the job.
-  4. As a result, the only "remaining" key in place when job is complete
+  4. The task is leased in :tasks:email:active while the worker renews it. Tasks whose
+     lease expires (e.g. the process died) are recovered by the team's sweep.
+  5. As a result, the only "remaining" key in place when job is complete
      is :tasks:email:3.
 
   ### Status
@@ -34,7 +50,11 @@
 var _            = require('lodash-node'),
     when         = require('when'),
     sequence     = require('when/sequence'),
-    EventEmitter = require('events').EventEmitter;
+    EventEmitter = require('events').EventEmitter,
+    errors       = require('./errors'),
+    Codecs       = require('./codecs'),
+    Middleware   = require('./middleware'),
+    Schema       = require('./schema');
 
 
 
@@ -57,12 +77,17 @@ function Task(factory, id, type, data, options) {
   if ("object" == typeof id) {
 
     if ("string" == typeof id.metadata) id.metadata = JSON.parse(id.metadata);
-    if ("string" == typeof id.data) id.data = JSON.parse(id.data);
+    if ("string" == typeof id.data) id.data = Codecs.decode(factory, id.type, id.data);
+    if ("string" == typeof id.result) id.output = Codecs.decode(factory, id.type, id.result);
 
-    _.extend(this, _.pick(id, ['id', 'key', 'type', 'data', 'metadata', 'uid']))
+    _.extend(this, _.pick(id, ['id', 'key', 'type', 'data', 'metadata', 'uid', 'output']))
 
   } else {
 
+    // Functions can't be stored with the task, see privates.backoff
+    if ("function" == typeof options.backoff)
+      throw new Error("backoff functions can only be set on the procedure.");
+
     // Set up key simple variables
     this.id       = id;
     this.key      = this.factory.prefix + 'tasks:' + this.id;
@@ -96,6 +121,9 @@ function Task(factory, id, type, data, options) {
   // Ensure remaining variables are set
   this.metadata.maxAttempts = this.metadata.maxAttempts || 1;
 
+  // Convert delay/runAt and expiresIn to timestamps
+  privates.normalize(this.metadata);
+
 }
 
 Task.prototype.__proto__ = EventEmitter.prototype;
@@ -105,10 +133,38 @@ Task.prototype.__proto__ = EventEmitter.prototype;
 // ### STORAGE AND QUEUEING
 
 // #### function save - asynchronous
-// Performs multi database operations in order to save a task. See the example
-// listed in the introduction for specific steps. Returns valueless promise.
+// Saves a task (see store) within the beforeSave and afterSave middleware hooks of
+// its type, which may change it or veto it (see Middleware). The data, as changed by
+// the hooks, must match the procedure's schema, or the save rejects with a
+// ValidationError (see Schema). Returns a promise with the task saved, or with the
+// existing task.
 Task.prototype.save = function() {
 
+  var self = this,
+      procedure = this.factory.procedures[this.type],
+      stack = Middleware.stack(this.factory, procedure);
+
+  return Middleware.beforeSave(stack, this)
+                   .then(function() {
+                     Schema.check(procedure, self.type, self.data);
+                     return self.store();
+                   })
+                   .then(function(saved) {
+                     if (saved !== self) return saved;
+                     return Middleware.afterSave(stack, self).then(function() { return saved; });
+                   })
+                   .ensure(function() { self = procedure = stack = null; });
+
+}
+
+
+// #### function store - asynchronous
+// Performs multi database operations in order to save a task. See the example
+// listed in the introduction for specific steps. If another task holds the task's
+// uid, the `unique` option applies (see privates.deduplicate). Returns a promise
+// with the task saved, or with the existing task.
+Task.prototype.store = function() {
+
   var cleanUp = function() {
     if (!!self) self = null;
     if (!!uidFxns) uidFxns = null;
@@ -118,23 +174,96 @@ Task.prototype.save = function() {
 
     var self      = this,
         uidFxns   = privates.uidFunctions(this),
+        blocked   = privates.parents(this).length > 0,
+        delayed   = !blocked && this.metadata.runAt > Date.now(),
 
+        checkTask = blocked ? privates.checkParents(this) : function() { return when.resolve(); },
         storeTask = function(c) { return c.hashMultiSet(self.key, self.serialize()); },
-        seq = [uidFxns.check, storeTask, self.queue, uidFxns.update];
+        trackTask = function(c) { return self.track(c); },
+        queueTask = delayed ? function(c) { return self.schedule(self.metadata.runAt, c); } : self.queue,
+        seq = [checkTask, storeTask, trackTask, blocked ? self.block : queueTask, uidFxns.update];
+
+    if (blocked) this.metadata.state = 'blocked';
+    if (delayed) this.metadata.state = 'delayed';
 
   } catch (err) { cleanUp(); return when.reject(err); }
 
   // Note that we add to waiting before to tasks so as to not early-trigger BLPOP
   // Alternatively, we could set up a transaction.
   return self.factory.execute(null, function(c) {
-    return sequence(seq, c);
-  }).ensure(cleanUp);
+    return privates.deduplicate(self, c).then(function(existing) {
+      if (existing) return existing;
+      return sequence(seq, c).then(function() { return self; });
+    });
+  })
+
+  .then(function(task) {
+    if (task !== self) return task;
+    return privates.saved(task).then(function() { return task; });
+  })
+
+  .ensure(cleanUp);
+
+}
+
+
+// #### function refresh - synchronous
+// Converts the options of a task's metadata that changed since `previous` (a copy of
+// the metadata), as the constructor does: e.g. after beforeSave middleware hooks
+// changed the priority or the delay (see Middleware.beforeSave).
+Task.prototype.refresh = function(previous) {
+
+  var metadata = this.metadata,
+      changed = function(key) { return metadata[key] !== previous[key]; };
+
+  if (changed('priority')) this.priority(metadata.priority);
+
+  // A new delay applies unless runAt was set along with it
+  if (changed('delay') && !changed('runAt')) delete metadata.runAt;
+
+  // The deadline follows the time the task may first run
+  if ("undefined" != typeof metadata.expiresIn && !changed('expiresAt') &&
+      (changed('delay') || changed('runAt') || changed('expiresIn')))
+    delete metadata.expiresAt;
+
+  privates.normalize(metadata);
+
+}
+
+
+// #### function deduplicate - asynchronous
+// Applies the task's `unique` policy to the task holding its uid:
+// * reject         : rejects with a DuplicateTaskError (default)
+// * returnExisting : resolves with the existing task
+// * replace        : replaces the existing task's data if it has not run yet, and
+//                    resolves with the existing task
+// * merge          : likewise, but merges the data into the existing task's data
+// The existing task's data is only stored when a client is given, as tasks of a
+// batch may hold the uid before they are saved (see Factory.quickEntryMany).
+Task.prototype.deduplicate = function(existing, client) {
+
+  var policy = this.metadata.unique || 'reject',
+      pending = !!~['waiting', 'delayed', 'blocked'].indexOf(existing.info().state);
+
+  if (!~privates.uniquePolicies.indexOf(policy))
+    return when.reject(new Error("Unknown unique policy " + policy));
+
+  if ('reject' == policy) return when.reject(privates.duplicateError(this, existing.id));
+  if ('returnExisting' == policy || !pending) return when.resolve(existing);
+
+  existing.data = ('merge' == policy) ? _.extend({}, existing.data, this.data) : this.data;
+  if (!client) return when.resolve(existing);
+
+  return client.hashMultiSet(existing.key, { data : Codecs.encode(existing.factory, existing.type, existing.data) })
+               .then(function() { return existing; });
 
 }
 
 
 // #### function queue - asynchronous
 // Puts a task back on the waiting queue. Called when a failure occurs with attempts left.
+// If its type ages (see the procedure `aging` setting), its priority increases while it
+// waits.
 Task.prototype.queue = function(client) {
 
   var self = this,
@@ -146,7 +275,7 @@ Task.prototype.queue = function(client) {
       typeKey   = prefix + this.type,
       waitKey   = typeKey + ':waiting',
 
-      queueTask = function(c) { return c.sortedAdd(waitKey, [priority, self.id]); },
+      queueTask = function(c) { return c.agedAdd(waitKey, [priority, self.id]); },
       pushTask  = function(c) { return c.push(typeKey, [self.id]); };
 
   return this.factory.execute(client, function(c) {
@@ -155,14 +284,266 @@ Task.prototype.queue = function(client) {
 }
 
 
+// #### function schedule - asynchronous
+// Adds a task to the :delayed set, to be queued at the given time (ms). State is
+// expected to be `delayed` in store. Returns valueless promise.
+Task.prototype.schedule = function(time, client) {
+
+  var id = this.id,
+      delayKey = privates.delayedKey(this);
+
+  return this.factory.execute(client, function(c) {
+    return c.scheduleAdd(delayKey, [time, id]);
+  });
+}
+
+
+// #### function track - asynchronous
+// Indexes a task with a deadline (see the `expiresIn` option) in :expiring, so
+// that it is swept once due. Returns valueless promise.
+Task.prototype.track = function(client) {
+
+  var id = this.id,
+      expiresAt = this.metadata.expiresAt,
+      expiringKey = privates.expiringKey(this);
+
+  if ("undefined" == typeof expiresAt) return when.resolve();
+
+  return this.factory.execute(client, function(c) {
+    return c.scheduleAdd(expiringKey, [expiresAt, id]);
+  });
+}
+
+
+// #### function block - asynchronous
+// Registers a task with the tasks it depends on. Parents that already ended are
+// settled right away. State is expected to be `blocked` in store. Returns valueless promise.
+Task.prototype.block = function(client) {
+
+  var self       = this,
+      factory    = this.factory,
+      parents    = privates.parents(this),
+      parentsKey = this.key + ':parents',
+
+      register   = function(c, parent) {
+        return c.hashSet(parentsKey, parent, 1).then(function() {
+          return c.hashSet(factory.prefix + 'tasks:' + parent + ':dependents', self.id, 1);
+        });
+      },
+
+      settle     = function(c, parent) {
+        return c.hashGet(factory.prefix + 'tasks:' + parent, 'metadata').then(function(metadata) {
+          var state = metadata ? JSON.parse(metadata).state : 'removed';
+
+          // Parents that are removed have ended
+          if ('removed' != state && !~privates.endStates.indexOf(state)) return null;
+          return privates.settle(c, factory, parent, state, self.id);
+        });
+      };
+
+  return factory.execute(client, function(c) {
+    return c.hashSet(self.key, 'pending', parents.length)
+            .then(function() {
+              return when.map(parents, function(parent) { return register(c, parent); });
+            })
+            .then(function() {
+              return when.map(parents, function(parent) { return settle(c, parent); });
+            });
+  })
+
+  .then(function(settled) {
+    return when.map(_.compact(settled), function(pair) { return pair[0].resolveParent(pair[1], pair[2]); });
+  })
+
+  .ensure(function() { self = factory = null; });
+
+}
+
+
+// #### function unblock - asynchronous
+// Queues a blocked task once all its parents succeeded (or schedules it, if it is
+// delayed until later). Returns a valueless promise.
+Task.prototype.unblock = function() {
+
+  var self = this;
+
+  if (this.metadata.runAt > Date.now())
+    return this.info({ state : 'delayed' }).then(function() {
+      return self.schedule(self.metadata.runAt);
+    })
+
+    .then(function() {
+      return privates.notify(self, 'delayed');
+    });
+
+  return this.waitlist().then(function() {
+    return self.queue();
+  });
+
+}
+
+
+// #### function resolveParent - asynchronous
+// Handles the last parent of a blocked task to settle: the task is unblocked if its
+// parents succeeded. Otherwise, it fails, or is skipped if `onParentFailure` is 'skip'.
+// Returns a valueless promise.
+Task.prototype.resolveParent = function(parent, state) {
+
+  if ('success' == state) return this.unblock();
+
+  if ('skip' == this.metadata.onParentFailure) {
+    this.announce('skipped');
+    return this.finalize('skipped', this.metadata.progress);
+  }
+
+  this.announce('failure');
+  return this.finalize('failure', null, "Error: Dependency " + parent + " ended with state " + state);
+
+}
+
+
+// #### function cancel - asynchronous
+// Cancels a task that has not ended. Waiting and delayed tasks are atomically pulled
+// from their queue; for active tasks, a `cancel` event is broadcast so that the
+// worker running it (in any process) stops. A task that already left its queue is
+// handled as active: should a worker have activated it meanwhile, the cancelled
+// state is written again. Returns a valueless promise.
+Task.prototype.cancel = function() {
+
+  var self      = this,
+      pulled    = false,
+      state     = this.metadata.state,
+      prefix    = this.factory.prefix + 'tasks:',
+      typeKey   = prefix + this.type,
+      waitKey   = typeKey + ':waiting',
+      delayKey  = privates.delayedKey(this),
+      expireKey = privates.expiringKey(this);
+
+  if (!!~privates.endStates.indexOf(state))
+    return when.reject(new Error("Task " + this.id + " has already ended (" + state + ")"));
+
+  return this.factory.execute(null, function(c) {
+    var unqueue = ('delayed' == state) ?
+                    c.scheduleRemove(delayKey, [self.id]) :
+                    c.unqueue(typeKey, waitKey, self.id);
+
+    return unqueue.then(function(removed) {
+      pulled = removed > 0 || 'blocked' == state;
+      return c.scheduleRemove(expireKey, [self.id]);
+    })
+
+    .then(function() {
+      return self.finalize('cancelled', self.metadata.progress, null, c);
+    });
+  })
+
+  .then(function() {
+    return self.broadcast('cancel');
+  })
+
+  .then(function() {
+    if (!pulled) return privates.reassertCancelled(self);
+  })
+
+  .ensure(function() { self = null; });
+
+}
+
+
+// #### function expired - synchronous
+// Indicates whether a task is past its deadline (see the `expiresIn` option). Tasks
+// being retried started before it, and don't expire.
+Task.prototype.expired = function() {
+  return !(this.metadata.attempts > 0) && this.metadata.expiresAt <= Date.now();
+}
+
+
+// #### function expire - asynchronous
+// Ends a task that did not start before its deadline with state `expired`, and
+// broadcasts an `expired` event. The task is expected to be pulled from its queue
+// already (see Tasks.sweepExpired and Dispatcher.getNextJob). Returns a valueless promise.
+Task.prototype.expire = function() {
+
+  var self = this;
+
+  return this.factory.execute(null, function(c) {
+    return self.deactivate(c).then(function() {
+      return self.finalize('expired', self.metadata.progress, null, c);
+    });
+  })
+
+  .then(function() {
+    return self.broadcast('expired');
+  })
+
+  .ensure(function() { self = null; });
+
+}
+
+
+// #### function result - asynchronous
+// Waits for a task to end. Resolves with the task's result when it succeeds, and
+// rejects with a TaskFailedError (or CancelledError) otherwise. Works across
+// processes. Options include timeout (seconds), after which a TimeoutError is raised.
+Task.prototype.result = function(options) {
+
+  options = options || {};
+
+  var self       = this,
+      dispatcher = this.factory.dispatcher,
+      deferred   = when.defer(),
+      timer      = null;
+
+  var check = function() {
+    return privates.outcome(self).then(function(outcome) {
+      if (!outcome) return;
+      if (outcome.error) return deferred.reject(outcome.error);
+      deferred.resolve(outcome.result);
+    })
+
+    .otherwise(deferred.reject);
+  };
+
+  if (options.timeout > 0) {
+    timer = setTimeout(function() {
+      deferred.reject(new errors.TimeoutError("Timed out waiting for task " + self.id));
+    }, 1000 * options.timeout);
+  }
+
+  // Check the store once subscribed, in case the task ended before.
+  this.bindLocal('complete', check);
+  dispatcher.watchTask(this).then(check, deferred.reject);
+
+  return deferred.promise.ensure(function() {
+    if (timer) clearTimeout(timer);
+    self.removeListener('complete', check);
+    dispatcher.unwatchTask(self);
+    self = dispatcher = null;
+  });
+
+}
+
+
 // #### function remove - asynchronous
 // Cleans up global task listeners and ensures that a task is removed.
 Task.prototype.remove = function() {
-  var key = this.key;
+  var key = this.key,
+      logsKey = privates.logsKey(this),
+      eventsKey = privates.eventsKey(this),
+      seqKey = privates.seqKey(this);
+
   this.announce('remove');
 
   return this.factory.execute(null, function(client) {
-    return client.remove(key)
+    return client.remove(key).then(function() {
+      return client.remove(logsKey);
+    })
+    .then(function() {
+      return client.remove(eventsKey);
+    })
+    .then(function() {
+      return client.remove(seqKey);
+    });
   });
 }
 
@@ -183,20 +564,23 @@ Task.prototype.toObject = Task.prototype.toJSON = function() {
   };
 
   if ("undefined" != typeof this.uid) json.uid = this.uid;
+  if ("undefined" != typeof this.output) json.result = this.output;
   return json;
 
 }
 
 
 // #### function serialize - synchronous
-// Converts an object to a "storeable" object by forcing values to literals.
+// Converts an object to a "storeable" object by forcing values to literals. Data
+// and result are encoded with the codecs of the task's type (see Codecs).
 // Errors are propagated to caller. Returns serialized object.
 Task.prototype.serialize = function() {
 
   var serialized = this.toJSON();
 
-  serialized.data = JSON.stringify(serialized.data);
+  serialized.data = Codecs.encode(this.factory, this.type, serialized.data);
   serialized.metadata = JSON.stringify(serialized.metadata);
+  if ("undefined" != typeof serialized.result) serialized.result = Codecs.encode(this.factory, this.type, serialized.result);
 
   return serialized;
 
@@ -207,12 +591,20 @@ Task.prototype.serialize = function() {
 // ### EVENT HANDLING
 
 // #### function on - synchronous √
-// Replaces default EventEmitter function so as add task to dispatcher
-Task.prototype.on = function(event) {
+// Replaces default EventEmitter function so as add task to dispatcher. With
+// { replay : true } as options, i.e. on(event, options, listener), the listener first
+// receives the events recorded in the task's history (see Dispatcher.record), then
+// live events, without duplicates. Returns a promise that resolves once events are
+// received (and replayed).
+Task.prototype.on = function(event, options, listener) {
+  if ("function" == typeof options) listener = options, options = {};
+
   if (!this.broadcasts(event))
     this.metadata.broadcasts.push(event);
 
-  EventEmitter.prototype.on.apply(this, arguments);
+  if (options && options.replay) return privates.replay(this, event, listener);
+
+  EventEmitter.prototype.on.call(this, event, listener);
   return this.factory.dispatcher.watchTask(this);
 }
 
@@ -225,18 +617,25 @@ Task.prototype.bindLocal = function() {
 
 // #### function announce - synchronous
 // Intelligently emits an event (if local only), or broadcasts an event (if global or broadcast)
+// Events emitted locally are still recorded in the task's history, except frequent ones
+// (progress, log) unless listed in the `recordEvents` option.
 Task.prototype.announce = function(event) {
   if (this.metadata.broadcastAll || this.broadcasts(event))
-    this.broadcast.apply(this, arguments);
-  else
-    this.emit.apply(this, arguments);
+    return this.broadcast.apply(this, arguments);
+
+  this.emit.apply(this, arguments);
+
+  if (!privates.records(this, event)) return when.resolve(null);
+
+  return this.factory.dispatcher.record(event, this.id, this.type, arguments, privates.maxEvents(this))
+                                .otherwise(function(err) { console.log(err); });
 }
 
 // #### function broadcast - synchronous
 // Ensures that message is sent to all available listeners.
 Task.prototype.broadcast = function(event) {
   // Note that we intentionally include the event in the arguments
-  return this.factory.dispatcher.broadcast(event, this.id, arguments);
+  return this.factory.dispatcher.broadcast(event, this.id, this.type, arguments, privates.maxEvents(this));
 }
 
 
@@ -311,28 +710,62 @@ Task.prototype.info = function(changes) {
 
 
 // #### function activate - asynchronous
-// Changes task status to `active`. Returns a valueless promise.
+// Changes task status to `active` and leases it in :active. Returns a valueless promise.
 Task.prototype.activate = function() {
-  var attempts = this.metadata.attempts + 1;
-  return this.info({ state : 'active', attempts : attempts });
+  var self = this,
+      attempts = this.metadata.attempts + 1;
+
+  return this.info({ state : 'active', attempts : attempts }).then(function() {
+    return self.renew();
+  })
+
+  .then(function() {
+    return privates.notify(self, 'active');
+  });
+}
+
+
+// #### function renew - asynchronous
+// Extends the task's lease in :active by `lease` seconds, by the transport's clock.
+// Workers call this periodically while running. Returns a valueless promise.
+Task.prototype.renew = function(client) {
+  var activeKey = privates.activeKey(this),
+      id = this.id,
+      lease = 1000 * this.lease();
+
+  return this.factory.execute(client, function(c) {
+    return c.leaseSet(activeKey, id, lease);
+  });
+}
+
+
+// #### function lease - synchronous
+// Returns the number of seconds a task remains leased without renewal.
+Task.prototype.lease = function() {
+  return Number(this.metadata.lease) || privates.lease;
 }
 
 
 // #### function waitlist - asynchronous
 // Changes task status to `waiting`. Returns a valueless promise.
 Task.prototype.waitlist = function() {
-  return this.info({ state : 'waiting', progress : 0 });
+  var self = this;
+
+  return this.info({ state : 'waiting', progress : 0 }).then(function() {
+    return privates.notify(self, 'waiting');
+  });
 }
 
 
 // #### function deactivate - asynchronous
-// Removes task from :active - THIS IS NOT YET COMPLETE
+// Removes task from :active. Returns a valueless promise.
 Task.prototype.deactivate = function(client) {
-  return when.resolve();
-  // if ('active' != this.metadata.state)
-  //   return when.resolve();
-  // return this.factory.execute(client, function(c) {
-  // });
+  var activeKey = privates.activeKey(this),
+      id = this.id;
+
+  return this.factory.execute(client, function(c) {
+    return c.hashUnset(activeKey, [id]);
+  });
 }
 
 
@@ -364,17 +797,60 @@ Task.prototype.progress = function(num, den) {
 
 
 
+// #### function log - asynchronous
+// Appends an entry { level, message, fields, attempt, time } to the task's log in
+// :tasks:3:logs, which keeps the latest `maxLogs` entries (100 by default). Fields are
+// stored encoded with the codecs of the task's type (see Codecs). The entry is
+// announced as a `log` event. Returns a valueless promise.
+Task.prototype.log = function(level, message, fields) {
+
+  var key = privates.logsKey(this),
+      max = Number(this.metadata.maxLogs) || privates.maxLogs,
+      entry = { level : level, message : String(message), attempt : this.metadata.attempts, time : Date.now() },
+      stored;
+
+  if ("undefined" != typeof fields) entry.fields = fields;
+
+  this.announce('log', entry);
+
+  try {
+    stored = _.clone(entry);
+    if ("undefined" != typeof fields) stored.fields = Codecs.encode(this.factory, this.type, fields);
+  } catch (err) { return when.reject(err); }
+
+  return this.factory.execute(function(c) {
+    return c.push(key, [stored]).then(function(length) {
+      if (length > max) return c.listTrim(key, -max, -1);
+    });
+  });
+
+}
+
+
+
+
 // ### TASK END-STATES
 
 // #### function success - asynchronous
-// Emits success and successs task in store. Returns a valueless promise.
-Task.prototype.success = function() {
+// Emits success and successs task in store, along with the result (if any) that
+// the procedure passed to `done`. Returns a valueless promise.
+Task.prototype.success = function(result) {
 
-  var self = this;
-  this.announce("success");
+  var self = this,
+      key = this.key,
+      store = function(c) {
+        if ("undefined" == typeof result) return when.resolve();
+        self.output = result;
+        return c.hashMultiSet(key, { result : Codecs.encode(self.factory, self.type, result) });
+      };
+
+  this.announce("success", result);
 
   return this.factory.execute(null, function(c) {
     return self.deactivate(c).then(function() {
+      return store(c);
+    })
+    .then(function() {
       return self.finalize("success", 100, null, c);
     })
     .ensure(function() { self = null; });
@@ -387,37 +863,122 @@ Task.prototype.success = function() {
 // Emits failure and rejects task in store. Returns a valueless promise.
 Task.prototype.failure = function(err) {
 
-  // Log failure, etc. here
-  // If attempts remain, put back into type and waiting
-  if (this.metadata.attempts < this.metadata.maxAttempts) {
+  var self = this,
+      errMsg = "undefined" != typeof err ? err.toString() : "Unknown error";
+
+  // Keep a record of every failed attempt
+  this.metadata.history = this.metadata.history || [];
+  this.metadata.history.push({ attempt : this.metadata.attempts, error : errMsg, failed : Date.now() });
+
+  // Logging is best-effort, and never prevents the retry or the failure
+  var logged = this.log('error', errMsg, (err && err.stack) ? { stack : err.stack } : undefined)
+                   .otherwise(function() {});
+
+  // If attempts remain, put back into type and waiting (after backoff, if any).
+  // Invalid data (see Schema) fails for good.
+  if (this.metadata.attempts < this.metadata.maxAttempts && !(err instanceof errors.ValidationError)) {
+    var delay = privates.backoff(this, err);
+
     this.announce("retry");
-    return this.queue();
+
+    return logged.then(function() {
+      if (delay > 0) return self.retryAt(Date.now() + 1000 * delay);
+
+      return self.waitlist().then(function() {
+        return self.queue();
+      });
+    })
+
+    .then(function() {
+      return privates.notify(self, 'retry');
+    });
 
   } else {
 
-    var self = this,
-        errMsg = "undefined" != typeof err ? err.toString() : "Unknown error";
+    var deadKey = privates.deadKey(this),
+        deadLetter = function(c) {
+          if (!privates.deadLetters(self)) return when.resolve();
+          return c.scheduleAdd(deadKey, [Date.now(), self.id]);
+        };
 
     this.announce("failure");
 
-    return this.factory.execute(null, function(c) {
-      return self.deactivate(c).then(function() {
-        return self.finalize("failure", null, errMsg, c);
-      })
+    return logged.then(function() {
+      return self.factory.execute(null, function(c) {
+        return self.deactivate(c).then(function() {
+          return self.finalize("failure", null, errMsg, c);
+        })
+
+        .then(function() { return deadLetter(c); })
 
-      .ensure(function() { self = null; });
+        .ensure(function() { self = null; });
+      });
     });
   }
 
 }
 
 
+// #### function revive - asynchronous
+// Queues a dead-lettered task again with fresh attempts. Its failure history is
+// kept. Rejects if another task now holds its uid. Returns a valueless promise.
+Task.prototype.revive = function(client) {
+
+  var self    = this,
+      uidFxns = privates.uidFunctions(this),
+      revive  = function(c) {
+        delete self.metadata.error;
+        delete self.metadata.retryAt;
+        self.metadata.attempts = 0;
+        return self.waitlist();
+      };
+
+  return this.factory.execute(client, function(c) {
+    return sequence([uidFxns.check, revive, self.queue, uidFxns.update], c);
+  })
+
+  .ensure(function() { self = uidFxns = null; });
+
+}
+
+
+// #### function retryAt - asynchronous
+// Delays the next attempt of a failed task until the given time (ms), which is
+// stored as metadata.retryAt. Returns a valueless promise.
+Task.prototype.retryAt = function(time) {
+
+  var self = this;
+
+  return this.info({ state : 'delayed', progress : 0, retryAt : time })
+             .then(function() { return self.deactivate(); })
+             .then(function() { return self.schedule(time); })
+             .then(function() { return privates.notify(self, 'delayed'); });
+
+}
+
+
+// #### function stall - asynchronous
+// Handles a task whose lease expired: it is retried if attempts remain, and
+// fails otherwise. Returns a valueless promise.
+Task.prototype.stall = function() {
+  var self = this;
+
+  this.announce("stalled");
+
+  return privates.notify(this, 'stalled').then(function() {
+    return self.failure(new Error("Task lease expired"));
+  });
+}
+
+
 // #### function finalize - asynchronous
-// Sets state and progress and triggers potential auto-removal.
+// Sets state and progress, triggers potential auto-removal and notifies factory-wide
+// listeners of the end state.
 // Returns a valueless promise.
 Task.prototype.finalize = function(state, progress, err, client) {
 
   var cleanUp = function(err) {
+    if (!!self) self = null;
     if (!!factory) factory = null;
     if (!!metadata) metadata = null;
     if (!!expireFxn) expireFxn = null;
@@ -428,10 +989,12 @@ Task.prototype.finalize = function(state, progress, err, client) {
 
     this.metadata.progress = progress;
     this.metadata.state = state;
+    this.metadata.ended = Date.now();
 
     if (err) this.metadata.error = err;
 
     var p,
+        self      = this,
         key       = this.key,
         uid       = this.uid,
         factory   = this.factory,
@@ -440,7 +1003,8 @@ Task.prototype.finalize = function(state, progress, err, client) {
         uidKey    = this.factory.prefix + this.type + ':uids',
 
         hashSet   = function(c) { return c.hashSet(key, 'metadata', metadata); },
-        hashUnset = function(c) { return c.hashUnset(uidKey, [uid]); },
+        keepsUid  = 'success' == state && metadata.uniqueWindow > 0,
+        hashUnset = function(c) { return keepsUid ? when.resolve() : c.hashUnset(uidKey, [uid]); },
         update    = function(c) { return sequence([hashSet, hashUnset, expireFxn], c); };
 
   } catch (err) { cleanUp(); return when.reject(err); }
@@ -450,6 +1014,20 @@ Task.prototype.finalize = function(state, progress, err, client) {
     return update(c).ensure(function() { factory.release(c); });
   })
 
+  // Always tell waiting producers (see Task.result) that the task ended: as any
+  // process may wait, this is one publish per task (it is not recorded)
+  .then(function() {
+    return self.broadcast('complete', state).otherwise(function() {});
+  })
+
+  .then(function() {
+    return privates.notify(self, state);
+  })
+
+  .then(function() {
+    return privates.settleDependents(self, state);
+  })
+
   .ensure(cleanUp);
 
 }
@@ -472,7 +1050,11 @@ privates.uidFunctions = function(task) {
       uidKey = task.factory.prefix + task.type + ':uids';
 
   if ("undefined" != typeof task.uid) {
-    fxns.check  = function(client) { return task.factory.lacksTask(task.type, task.uid, client); };
+    fxns.check  = function(client) {
+      return task.factory.lacksTask(task.type, task.uid, client).otherwise(function(id) {
+        return when.reject(privates.duplicateError(task, id));
+      });
+    };
     fxns.update = function(client) { return client.hashSet(uidKey, task.uid, task.id); };
   } else {
     fxns.check  = function() { return when.resolve(); }
@@ -483,25 +1065,447 @@ privates.uidFunctions = function(task) {
 }
 
 
+// #### function deduplicate - asynchronous
+// Looks up the task holding a task's uid (see Monitor.findExists, and the `uniqueWindow`
+// option), and applies the task's `unique` policy to it (see Task.deduplicate).
+// Resolves with nothing if no task holds the uid.
+privates.deduplicate = function(task, client) {
+
+  var factory = task.factory,
+      policy = task.metadata.unique || 'reject';
+
+  if ("undefined" == typeof task.uid) return when.resolve();
+
+  if (!~privates.uniquePolicies.indexOf(policy))
+    return when.reject(new Error("Unknown unique policy " + policy));
+
+  return factory.lacksTask(task.type, task.uid, client).then(function() { return null; }, function(id) {
+    if (!id || id instanceof Error || 'reject' == policy) return when.reject(privates.duplicateError(task, id));
+
+    return client.hashGetAll(factory.prefix + 'tasks:' + id).then(function(json) {
+      if (!json) return when.reject(new Error("Task not found"));
+      return task.deduplicate(new Task(factory, json), client);
+    });
+  });
+
+}
+
+
+// #### uniquePolicies
+// Values of the `unique` option (see Task.deduplicate).
+privates.uniquePolicies = ['reject', 'returnExisting', 'replace', 'merge'];
+
+
+// #### function duplicateError - synchronous
+// Wraps the rejection of Factory.lacksTask: ids become a DuplicateTaskError.
+privates.duplicateError = function(task, id) {
+  if (!id || id instanceof Error) return id;
+
+  var err = new errors.DuplicateTaskError("Task " + id + " already holds uid " + task.uid);
+  err.id = id;
+  return err;
+}
+
+
+// #### function parents - synchronous
+// Returns the ids of the tasks a task depends on (its `dependsOn` option).
+privates.parents = function(task) {
+  return _.uniq(_.map([].concat(task.metadata.dependsOn || []), String));
+}
+
+
+// #### function checkParents - synchronous
+// Returns a function that ensures that the tasks a task depends on exist.
+privates.checkParents = function(task) {
+
+  var prefix = task.factory.prefix + 'tasks:';
+
+  return function(client) {
+    return when.map(privates.parents(task), function(parent) {
+      return client.hashGet(prefix + parent, 'metadata').then(function(metadata) {
+        if (!metadata) return when.reject(new Error("Dependency " + parent + " not found"));
+      });
+    });
+  };
+
+}
+
+
+// #### function settle - asynchronous
+// Records that a parent of a blocked task ended, by claiming the parent in the task's
+// :parents hash. Claims ensure that each parent is counted once, even when settled
+// by several processes. Resolves with [task, parent, state] if the task should now
+// be resolved (see Task.resolveParent), and with null otherwise.
+privates.settle = function(client, factory, parent, state, id) {
+
+  var key = factory.prefix + 'tasks:' + id,
+      succeeded = 'success' == state;
+
+  return client.hashUnset(key + ':parents', [String(parent)]).then(function(claimed) {
+    if (!claimed) return null;
+
+    // The last parent to succeed, or the first not to, resolves the task
+    var count = succeeded ? client.hashIncrement(key, 'pending', -1) : client.hashIncrement(key, 'unmet', 1);
+
+    return count.then(function(count) {
+      if ((succeeded ? 0 : 1) != count) return null;
+
+      return client.hashGetAll(key).then(function(json) {
+        if (!json) return null;
+
+        var task = new Task(factory, json);
+        return ('blocked' == task.info().state) ? [task, parent, state] : null;
+      });
+    });
+  });
+
+}
+
+
+// #### function settleDependents - asynchronous
+// Settles the tasks that depend on a task that ended. Returns a valueless promise.
+privates.settleDependents = function(task, state) {
+
+  var id = task.id,
+      factory = task.factory,
+      dependentsKey = task.key + ':dependents';
+
+  return factory.execute(function(c) {
+    return c.hashGetAll(dependentsKey)
+            .then(function(dependents) {
+              return when.map(_.keys(dependents || {}), function(dependent) {
+                return privates.settle(c, factory, id, state, dependent);
+              });
+            })
+            .then(function(settled) {
+              return c.remove(dependentsKey).then(function() {
+                return c.remove(task.key + ':parents');
+              })
+              .then(function() {
+                return _.compact(settled);
+              });
+            });
+  })
+
+  .then(function(settled) {
+    return when.map(settled, function(pair) { return pair[0].resolveParent(pair[1], pair[2]); });
+  })
+
+  .ensure(function() { factory = null; });
+
+}
+
+
+// #### function activeKey - synchronous
+// Returns the key of the hash holding leases of a task's type.
+privates.activeKey = function(task) {
+  return task.factory.prefix + 'tasks:' + task.type + ':active';
+}
+
+
+// #### function delayedKey - synchronous
+// Returns the key of the set holding delayed tasks of a task's type.
+privates.delayedKey = function(task) {
+  return task.factory.prefix + 'tasks:' + task.type + ':delayed';
+}
+
+
+// #### function expiringKey - synchronous
+// Returns the key of the set indexing tasks of a task's type by deadline.
+privates.expiringKey = function(task) {
+  return task.factory.prefix + 'tasks:' + task.type + ':expiring';
+}
+
+
+// #### function deadKey - synchronous
+// Returns the key of the set indexing dead-lettered (permanently failed) tasks of
+// a task's type, by time of failure.
+privates.deadKey = function(task) {
+  return task.factory.prefix + 'tasks:' + task.type + ':dead';
+}
+
+
+// #### function logsKey - synchronous
+// Returns the key of the list holding a task's log entries.
+privates.logsKey = function(task) {
+  return task.key + ':logs';
+}
+
+
+// #### function eventsKey - synchronous
+// Returns the key of the list holding a task's event history.
+privates.eventsKey = function(task) {
+  return task.key + ':events';
+}
+
+
+// #### function seqKey - synchronous
+// Returns the key of the hash numbering a task's events (see Dispatcher.record).
+privates.seqKey = function(task) {
+  return task.key + ':seq';
+}
+
+
+// #### function records - synchronous
+// Indicates whether an event emitted locally is recorded in a task's history: frequent
+// events only are when listed in the `recordEvents` option.
+privates.records = function(task, event) {
+  return !~privates.frequentEvents.indexOf(event) || !!~(task.metadata.recordEvents || []).indexOf(event);
+}
+
+
+// #### function maxEvents - synchronous
+// Returns the number of events kept in a task's history (the `maxEvents` option,
+// 100 by default; 0 disables the history).
+privates.maxEvents = function(task) {
+  var max = task.metadata.maxEvents;
+  return ("undefined" == typeof max) ? 100 : Number(max);
+}
+
+
+// #### function reassertCancelled - asynchronous
+// Writes a cancelled task's state again if a worker activated it after it was
+// cancelled (see Task.cancel). Returns a valueless promise.
+privates.reassertCancelled = function(task) {
+
+  var key = task.key,
+      metadata = task.metadata;
+
+  return task.factory.execute(function(c) {
+    return c.hashGet(key, 'metadata').then(function(stored) {
+      if (stored && 'active' == JSON.parse(stored).state) return c.hashSet(key, 'metadata', metadata);
+    });
+  });
+
+}
+
+
+// #### function notify - asynchronous
+// Publishes a state change to the factory-wide listeners of every process (see
+// Dispatcher.notify). Returns a valueless promise that never rejects.
+privates.notify = function(task, event) {
+  return task.factory.dispatcher.notify(event, task);
+}
+
+
+// #### function saved - asynchronous
+// Publishes that a task was saved, then the state it was saved in (`waiting`,
+// `delayed` or `blocked`), to the factory-wide listeners (see privates.notify).
+// Returns a valueless promise that never rejects.
+privates.saved = function(task) {
+  return privates.notify(task, 'saved').then(function() {
+    return privates.notify(task, task.metadata.state);
+  });
+}
+
+
+// #### function replay - asynchronous
+// Binds a listener that receives a task's recorded events, then live events. Live
+// events that arrive while the history is read are held back, and those already
+// replayed (by number, see Dispatcher.record) are skipped. Returns a promise that
+// resolves once the history was replayed.
+privates.replay = function(task, event, listener) {
+
+  var replayed = 0,
+      held = [];
+
+  var live = function() {
+    var seq = task.eventSeq;
+
+    if (held) return held.push([seq, arguments]);
+    if (seq && seq <= replayed) return;
+    listener.apply(task, arguments);
+  };
+
+  // Allows removeListener(event, listener)
+  live.listener = listener;
+
+  EventEmitter.prototype.on.call(task, event, live);
+
+  return task.factory.dispatcher.watchTask(task).then(function() {
+    return task.factory.execute(function(c) {
+      return c.listRange(privates.eventsKey(task), 0, -1);
+    });
+  })
+
+  .then(function(entries) {
+    _.each(entries || [], function(entry) {
+      entry = JSON.parse(entry);
+      replayed = Math.max(replayed, entry.seq);
+      if (event == entry.event) listener.apply(task, Codecs.decode(task.factory, task.type, entry.args));
+    });
+  })
+
+  .ensure(function() {
+    var pending = held || [];
+    held = null;
+
+    _.each(pending, function(pair) {
+      if (!pair[0] || pair[0] > replayed) listener.apply(task, pair[1]);
+    });
+  });
+
+}
+
+
+// #### function deadLetters - synchronous
+// Indicates whether a task is dead-lettered when it fails (unless deadLetter is false).
+privates.deadLetters = function(task) {
+  return false !== task.metadata.deadLetter;
+}
+
+
+// #### function normalize - synchronous
+// Converts delay/runAt to a timestamp (runAt), and expiresIn to a deadline (expiresAt)
+// counted from when the task may first run.
+privates.normalize = function(metadata) {
+
+  if ("undefined" != typeof metadata.runAt || "undefined" != typeof metadata.delay)
+    metadata.runAt = privates.runAt(metadata);
+
+  if ("undefined" != typeof metadata.expiresIn && "undefined" == typeof metadata.expiresAt)
+    metadata.expiresAt = (metadata.runAt || metadata.created) + 1000 * Number(metadata.expiresIn);
+
+}
+
+
+// #### function runAt - synchronous
+// Computes when a delayed task is due (ms) from its runAt (date or timestamp)
+// or its delay (seconds after creation).
+privates.runAt = function(metadata) {
+  if ("undefined" != typeof metadata.runAt)
+    return isNaN(metadata.runAt) ? new Date(metadata.runAt).getTime() : Number(metadata.runAt);
+
+  return metadata.created + 1000 * Number(metadata.delay);
+}
+
+
+// #### function outcome - asynchronous
+// Reads a task's state from store. Resolves with nothing while the task has not
+// ended, with { result : result } if it succeeded, and with { error : error } otherwise.
+privates.outcome = function(task) {
+
+  var key = task.key,
+      id = task.id;
+
+  return task.factory.execute(function(c) {
+    return c.hashGet(key, 'metadata').then(function(metadata) {
+      if (!metadata) return when.reject(new Error("Task not found"));
+      metadata = JSON.parse(metadata);
+
+      switch (metadata.state) {
+        case 'success':
+          return c.hashGet(key, 'result').then(function(result) {
+            return { result : (null === result) ? undefined : Codecs.decode(task.factory, task.type, result) };
+          });
+        case 'failure':
+          return { error : new errors.TaskFailedError(metadata.error) };
+        case 'cancelled':
+          return { error : new errors.CancelledError("Task " + id + " was cancelled") };
+        case 'skipped':
+          return { error : new errors.TaskFailedError("Task " + id + " was skipped") };
+        case 'expired':
+          return { error : new errors.TaskFailedError("Task " + id + " expired before it started") };
+      }
+    });
+  });
+
+}
+
+
 // #### function expireFunction - synchronous
 // If task has "removeAfter", sets task to expire. Errors are propagated to caller.
 privates.expireFunction = function(task) {
 
   var key = task.key,
+      logsKey = privates.logsKey(task),
+      eventsKey = privates.eventsKey(task),
+      seqKey = privates.seqKey(task),
       expires = task.metadata.removeAfter;
 
+  // Dead-lettered tasks are kept until purged
+  if ('failure' == task.metadata.state && privates.deadLetters(task))
+    expires = undefined;
+
   if ("undefined" == typeof expires)
     return function() { return when.resolve(); };
   else {
     setTimeout(function() { task.announce('remove'); }, 1000 * expires);
     return function(client) {
-      return client.expire(key, expires);
+      return client.expire(key, expires).then(function() {
+        return client.expire(logsKey, expires);
+      })
+      .then(function() {
+        return client.expire(eventsKey, expires);
+      })
+      .then(function() {
+        return client.expire(seqKey, expires);
+      });
     };
   }
 
 }
 
 
+// #### function backoff - synchronous
+// Computes how many seconds to wait before retrying a failed task, based on its
+// `backoff` option: a number of seconds, a strategy name, an object such as
+// { type : 'exponential', delay : 1, max : 300, jitter : true }, or a function
+// of (attempts, err) returning seconds (only as a procedure default, which is not
+// stored but copied to the task when loaded). Jitter (true or 0-1) randomly shortens
+// the wait by up to that fraction.
+privates.backoff = function(task, err) {
+
+  var backoff = task.metadata.backoff,
+      attempts = task.metadata.attempts;
+
+  if ("undefined" == typeof backoff || null === backoff) return 0;
+  if ("function" == typeof backoff) return Number(backoff(attempts, err)) || 0;
+
+  if (!isNaN(backoff)) backoff = { type : 'fixed', delay : Number(backoff) };
+  if ("string" == typeof backoff) backoff = { type : backoff };
+
+  var strategy = privates.backoffs[backoff.type] || privates.backoffs.fixed,
+      delay = strategy(Number(backoff.delay) || 1, attempts);
+
+  if (backoff.max) delay = Math.min(delay, Number(backoff.max));
+
+  if (backoff.jitter)
+    delay -= delay * Math.random() * (true === backoff.jitter ? 1 : Number(backoff.jitter));
+
+  return delay;
+}
+
+
+// #### backoffs
+// Backoff strategies: return seconds to wait given the base delay and attempts made.
+privates.backoffs = {
+  fixed       : function(delay, attempts) { return delay; },
+  linear      : function(delay, attempts) { return delay * attempts; },
+  exponential : function(delay, attempts) { return delay * Math.pow(2, attempts - 1); }
+}
+
+
+// #### endStates
+// States in which a task is no longer processed.
+privates.endStates = ['success', 'failure', 'cancelled', 'skipped', 'expired'];
+
+
+// #### frequentEvents
+// Events emitted locally that are not recorded in a task's history by default.
+privates.frequentEvents = ['progress', 'log'];
+
+
+// #### maxLogs
+// Default number of log entries kept per task.
+privates.maxLogs = 100;
+
+
+// #### lease
+// Default number of seconds a task remains leased without renewal.
+privates.lease = 30;
+
+
 // #### priorities
 // Note that "normal" will defer to the procedures default
 privates.priorities = {
@@ -513,4 +1517,8 @@ privates.priorities = {
 
 
 
+// States in which a task is no longer processed (e.g. for Flow.status).
+Task.endStates = privates.endStates;
+
+
 module.exports = Task;
@@ -18,8 +18,10 @@
 
 // ### Dependencies
 
-var when  = require('when'),
-    Task  = require('./task');
+var _      = require('lodash-node'),
+    when   = require('when'),
+    Task   = require('./task'),
+    Codecs = require('./codecs');
 
 
 var Tasks = {};
@@ -37,6 +39,83 @@ Tasks.create = function(factory, type, data, options) {
 }
 
 
+// #### function createMany - asynchronous
+// Creates tasks of a type for each item of data, reserving their ids at once.
+// Returns a promise with the tasks (which are not saved).
+Tasks.createMany = function(factory, type, list, options) {
+
+  return factory.getNextIds('task', list.length)
+                .then(function(ids) {
+                  return _.map(ids, function(id, i) {
+                    return new Task(factory, id, type, list[i], options);
+                  });
+                });
+}
+
+
+// #### function saveMany - asynchronous
+// Saves new tasks of a type in a single pipelined round-trip: task hashes, then
+// queue (or schedule) entries, then uids. Uids are expected to have been checked.
+// Tasks with dependencies are stored one by one. Save middleware hooks are expected
+// to have run (see Factory.quickEntryMany). Factory-wide listeners are notified of
+// each task saved (see Task.store). Returns a valueless promise.
+Tasks.saveMany = function(factory, type, tasks, client) {
+
+  var prefix   = factory.prefix + 'tasks:',
+      typeKey  = prefix + type,
+      uidKey   = factory.prefix + type + ':uids',
+      now      = Date.now(),
+      calls    = [],
+      uids     = [],
+      waiting  = [],
+      signals  = [],
+      delayed  = [],
+      expiring = [],
+      blocked  = [];
+
+  try {
+
+    _.each(tasks, function(task) {
+      if (task.metadata.dependsOn) return blocked.push(task);
+
+      if (task.metadata.runAt > now) {
+        task.metadata.state = 'delayed';
+        delayed.push(task.metadata.runAt, task.id);
+      } else {
+        waiting.push(task.priority(), task.id);
+        signals.push(task.id);
+      }
+
+      calls.push(['hashMultiSet', [task.key, task.serialize()]]);
+      if ("undefined" != typeof task.metadata.expiresAt) expiring.push(task.metadata.expiresAt, task.id);
+      if ("undefined" != typeof task.uid) uids.push(['hashSet', [uidKey, task.uid, task.id]]);
+    });
+
+    if (waiting.length)
+      calls.push(['agedAdd', [typeKey + ':waiting', waiting]], ['push', [typeKey, signals]]);
+    if (delayed.length) calls.push(['scheduleAdd', [typeKey + ':delayed', delayed]]);
+    if (expiring.length) calls.push(['scheduleAdd', [typeKey + ':expiring', expiring]]);
+
+  } catch (err) { return when.reject(err); }
+
+  return factory.execute(client, function(c) {
+    return (calls.length ? c.pipeline(calls.concat(uids)) : when.resolve())
+            .then(function() {
+              return when.map(blocked, function(task) { return task.store(); });
+            });
+  })
+
+  .then(function() {
+    return when.map(_.difference(tasks, blocked), function(task) {
+      return factory.dispatcher.notify('saved', task).then(function() {
+        return factory.dispatcher.notify(task.metadata.state, task);
+      });
+    });
+  });
+
+}
+
+
 // #### function get - asynchronous
 // Accepts a factory and taskId and returns a promise with said task.
 Tasks.get = function(factory, id, client) {
@@ -57,7 +136,9 @@ Tasks.get = function(factory, id, client) {
 
 
 // #### function getStatus - asynchronous
-// Gets a task's status information. Returns a promise with the metadata.
+// Gets a task's status information. Returns a promise with the metadata, which
+// includes the task's result once it succeeded, and the current priority of waiting
+// tasks that age (as effectivePriority, see the procedure `aging` setting).
 Tasks.getStatus = function(factory, id, client) {
   var key = factory.prefix + 'tasks:' + id;
 
@@ -65,9 +146,372 @@ Tasks.getStatus = function(factory, id, client) {
     return c.hashGet(key, 'metadata')
             .then(function(metadata) {
               if (!metadata) return when.reject(new Error("Task not found"))
-              return when.resolve(JSON.parse(metadata));
+              metadata = JSON.parse(metadata);
+
+              if ('waiting' == metadata.state) return privates.effectivePriority(factory, c, key, id, metadata);
+              if ('success' != metadata.state) return when.resolve(metadata);
+
+              return c.hashGet(key, 'result').then(function(result) {
+                if (null === result) return metadata;
+
+                return c.hashGet(key, 'type').then(function(type) {
+                  metadata.result = Codecs.decode(factory, type, result);
+                  return metadata;
+                });
+              });
+            });
+  });
+}
+
+
+// #### function getLogs - asynchronous
+// Gets a task's log entries (see Task.log), oldest first. Options include offset and
+// limit. Returns a promise with the entries.
+Tasks.getLogs = function(factory, id, options, client) {
+
+  var key = factory.prefix + 'tasks:' + id + ':logs',
+      offset, limit;
+
+  options = options || {};
+  offset = Number(options.offset) || 0;
+  limit = Number(options.limit) || 0;
+
+  return factory.execute(client, function(c) {
+    return c.listRange(key, offset, limit ? offset + limit - 1 : -1).then(function(entries) {
+      if (!entries || !entries.length) return [];
+
+      return privates.type(factory, id, c).then(function(type) {
+        return _.map(entries, function(entry) {
+          entry = JSON.parse(entry);
+          if ("string" == typeof entry.fields) entry.fields = Codecs.decode(factory, type, entry.fields);
+          return entry;
+        });
+      });
+    });
+  });
+
+}
+
+
+// #### function getEvents - asynchronous
+// Gets a task's event history (see Dispatcher.record), oldest first. Returns a
+// promise with the events as { seq, event, args, time }.
+Tasks.getEvents = function(factory, id, client) {
+
+  var key = factory.prefix + 'tasks:' + id + ':events';
+
+  return factory.execute(client, function(c) {
+    return c.listRange(key, 0, -1).then(function(entries) {
+      if (!entries || !entries.length) return [];
+
+      return privates.type(factory, id, c).then(function(type) {
+        return _.map(entries, function(entry) {
+          entry = JSON.parse(entry);
+          entry.args = Codecs.decode(factory, type, entry.args);
+          return entry;
+        });
+      });
+    });
+  });
+
+}
+
+
+// #### function waitFor - asynchronous
+// Waits for a task to end (see Task.result). Returns a promise with its result.
+Tasks.waitFor = function(factory, id, options) {
+  return Tasks.get(factory, id).then(function(task) {
+    return task.result(options);
+  });
+}
+
+
+// #### function cancel - asynchronous
+// Cancels a task based on its id (see Task.cancel). Returns a promise with the task.
+Tasks.cancel = function(factory, id) {
+
+  return Tasks.get(factory, id).then(function(task) {
+    return task.cancel().then(function() { return task; });
+  });
+
+}
+
+
+// #### function getDead - asynchronous
+// Lists dead-lettered tasks of a type, oldest failure first. Options include
+// offset and limit. Returns a promise with the tasks (see metadata.error and
+// metadata.history for their failures).
+Tasks.getDead = function(factory, type, options) {
+
+  var key = factory.prefix + 'tasks:' + type + ':dead';
+  options = options || {};
+
+  return factory.execute(function(c) {
+    return c.scheduleRange(key, options.offset || 0, options.limit || 0)
+            .then(function(ids) {
+              return when.map(ids, function(id) {
+                return Tasks.get(factory, id, c).otherwise(function() { return null; });
+              });
+            })
+            .then(function(tasks) {
+              return _.compact(tasks);
+            });
+  });
+
+}
+
+
+// #### function requeueDead - asynchronous
+// Queues dead-lettered tasks again with fresh attempts: the given ids, or all
+// dead-lettered tasks of the type when ids is not provided. Tasks that cannot be
+// revived (e.g. their uid is held by another task) remain dead-lettered, and tasks
+// that no longer exist are dropped. Returns a promise with the ids requeued.
+Tasks.requeueDead = function(factory, type, ids) {
+
+  var key = factory.prefix + 'tasks:' + type + ':dead',
+
+      restore = function(c, id) {
+        return c.scheduleAdd(key, [Date.now(), id]).then(function() { return null; });
+      },
+
+      // Removing a task from the set claims it.
+      requeue = function(c, id) {
+        return c.scheduleRemove(key, [id]).then(function(removed) {
+          if (!removed) return null;
+
+          return Tasks.get(factory, id, c).then(function(task) {
+            return task.revive(c).then(function() { return id; }, function() { return restore(c, id); });
+          }, function() {
+            return privates.type(factory, id, c).then(function(type) {
+              return type ? restore(c, id) : null;
             });
+          });
+        });
+      };
+
+  return factory.execute(function(c) {
+    var list = ids ? when.resolve([].concat(ids)) : c.scheduleRange(key, 0, 0);
+
+    return list.then(function(ids) {
+      return when.map(ids, function(id) { return requeue(c, String(id)); });
+    })
+    .then(function(ids) {
+      return _.compact(ids);
+    });
   });
+
+}
+
+
+// #### function purgeDead - asynchronous
+// Removes dead-lettered tasks of a type, optionally only those that failed more
+// than `olderThan` seconds ago. Returns a promise with the ids removed.
+Tasks.purgeDead = function(factory, type, options) {
+
+  var key = factory.prefix + 'tasks:' + type + ':dead',
+      until = Infinity,
+      purged = [];
+
+  options = options || {};
+  if ("undefined" != typeof options.olderThan) until = Date.now() - 1000 * options.olderThan;
+
+  var purge = function(c) {
+    return c.schedulePop(key, until, 100).then(function(ids) {
+      return when.map(ids, function(id) {
+        purged.push(id);
+        return c.remove(factory.prefix + 'tasks:' + id).then(function() {
+          return c.remove(factory.prefix + 'tasks:' + id + ':logs');
+        })
+        .then(function() {
+          return c.remove(factory.prefix + 'tasks:' + id + ':events');
+        })
+        .then(function() {
+          return c.remove(factory.prefix + 'tasks:' + id + ':seq');
+        });
+      })
+      .then(function() {
+        return (100 == ids.length) ? purge(c) : purged;
+      });
+    });
+  };
+
+  return factory.execute(function(c) {
+    return purge(c);
+  });
+
+}
+
+
+// #### function sweepExpired - asynchronous
+// Expires tasks of a type that are past their deadline (see the `expiresIn` option)
+// without having started. Pulling a task from its queue claims it, so only one
+// process expires it. Returns a promise with the ids of the expired tasks.
+Tasks.sweepExpired = function(factory, type, client) {
+
+  var prefix   = factory.prefix + 'tasks:',
+      typeKey  = prefix + type,
+      key      = typeKey + ':expiring',
+
+      claim    = function(c, task) {
+        switch (task.info().state) {
+          case 'waiting':
+            return c.unqueue(typeKey, typeKey + ':waiting', task.id);
+          case 'delayed':
+            return c.scheduleRemove(typeKey + ':delayed', [task.id]);
+          case 'blocked':
+            return when.resolve(1);
+          default:
+            return when.resolve(0);
+        }
+      },
+
+      expire   = function(c, id) {
+        return Tasks.get(factory, id, c).then(function(task) {
+          if (!task.expired()) return null;
+
+          return claim(c, task).then(function(claimed) {
+            if (!claimed) return null;
+            return task.expire().then(function() { return id; });
+          });
+        }, function() { return null; });
+      };
+
+  return factory.execute(client, function(c) {
+    return c.schedulePop(key, Date.now(), 100)
+            .then(function(ids) {
+              return when.map(ids, function(id) { return expire(c, id); });
+            })
+            .then(function(ids) {
+              return _.compact(ids);
+            });
+  });
+
+}
+
+
+// #### function recoverStalled - asynchronous
+// Finds tasks of a type whose lease in :active has expired (by the transport's clock),
+// and retries or fails them. Claiming a task removes its lease, so only one process
+// recovers it. Returns a promise with the ids of the recovered tasks.
+Tasks.recoverStalled = function(factory, type, client) {
+
+  var key = factory.prefix + 'tasks:' + type + ':active',
+
+      claim   = function(c, id) {
+        return c.hashUnset(key, [id]).then(function(removed) {
+          return removed ? id : null;
+        });
+      },
+
+      recover = function(c, id) {
+        return Tasks.get(factory, id, c).then(function(task) {
+          if ('active' != task.info().state) return null;
+          return task.stall().then(function() { return id; });
+        }, function() { return null; });
+      };
+
+  return factory.execute(client, function(c) {
+    return c.leaseExpired(key)
+            .then(function(stalled) {
+              return when.map(stalled || [], function(id) {
+                return claim(c, id).then(function(id) {
+                  return null === id ? null : recover(c, id);
+                });
+              });
+            })
+            .then(function(ids) {
+              return _.compact(ids);
+            });
+  });
+
+}
+
+
+
+// #### function setAging - asynchronous
+// Stores the aging setting of a type (seconds after which its waiting tasks gain a
+// priority, none if false) in the transport, so that every process queues its tasks
+// alike. Waiting tasks keep their current priority (see transport agingSet). Returns
+// a valueless promise.
+Tasks.setAging = function(factory, type, every, client) {
+
+  var key = factory.prefix + 'tasks:' + type + ':waiting';
+
+  return factory.execute(client, function(c) {
+    return c.agingSet(key, every || 0);
+  });
+
+}
+
+
+
+// #### function promoteDelayed - asynchronous
+// Moves tasks of a type whose time has come from :delayed to the waiting queue.
+// Popping claims the tasks, so each is promoted by a single process. Tasks that
+// fail to be promoted (e.g. data that can't be decoded) are put back in :delayed,
+// unless they no longer exist. Returns a promise with the ids of the promoted tasks.
+Tasks.promoteDelayed = function(factory, type, client) {
+
+  var key = factory.prefix + 'tasks:' + type + ':delayed',
+
+      promote = function(c, id) {
+        return Tasks.get(factory, id, c).then(function(task) {
+          // Waiting tasks were put back after failing to be queued
+          if (!~['delayed', 'waiting'].indexOf(task.info().state)) return null;
+          return task.waitlist()
+                     .then(function() { return task.queue(c); })
+                     .then(function() { return id; });
+        })
+
+        .otherwise(function() {
+          return privates.type(factory, id, c).then(function(type) {
+            if (type) return c.scheduleAdd(key, [Date.now(), id]);
+          })
+          .then(function() { return null; });
+        });
+      };
+
+  return factory.execute(client, function(c) {
+    return c.schedulePop(key, Date.now())
+            .then(function(ids) {
+              return when.map(ids || [], function(id) { return promote(c, id); });
+            })
+            .then(function(ids) {
+              return _.compact(ids);
+            });
+  });
+
+}
+
+
+
+
+// ### Private functions
+
+var privates = {};
+
+
+// #### function effectivePriority - asynchronous
+// Adds the current priority of a waiting task of a type that ages to its metadata.
+// Resolves with the metadata.
+privates.effectivePriority = function(factory, client, key, id, metadata) {
+
+  return client.hashGet(key, 'type').then(function(type) {
+    return client.agedPriority(factory.prefix + 'tasks:' + type + ':waiting', id).then(function(priority) {
+      if (null !== priority) metadata.effectivePriority = priority;
+      return metadata;
+    });
+  });
+
+}
+
+
+
+// #### function type - asynchronous
+// Gets the type of a task, whose codecs decode its stored values (see Codecs).
+// Resolves with null if the task no longer exists.
+privates.type = function(factory, id, client) {
+  return client.hashGet(factory.prefix + 'tasks:' + id, 'type');
 }
 
 
@@ -31,6 +31,7 @@ var when         = require('when'),
     sequence     = require('when/sequence'),
     parallel     = require('when/parallel'),
     Task         = require('./task'),
+    Tasks        = require('./tasks'),
     Worker       = require('./worker');
 
 
@@ -43,6 +44,9 @@ function Team(factory, name, procedure, options) {
   this.name = name;
   this.procedure = procedure;
   this.availability = options.maxWorkers || 1;
+  this.recoveryInterval = options.recoveryInterval || 30;
+  this.promotionInterval = options.promotionInterval || 1;
+  this.expiryInterval = options.expiryInterval || 5;
   this.workers = {};
 
   // Set up local variables
@@ -144,21 +148,65 @@ Team.prototype.terminate = function(id) {
 
 
 // #### function heartbeat - recurring
-// Team "checks in" in order to prevent its own cleanup.
-// Roadmap: Should periodically check on its tasks and "reset" availability.
+// Team "checks in" in order to prevent its own cleanup, periodically recovers
+// tasks of its type whose workers stopped renewing their lease, promotes delayed
+// tasks that are due, and expires tasks past their deadline.
 Team.prototype.heartbeat = function() {
 
   var key = this.key,
       secs = 15 * 60,
       ms = 5 * 60 * 1000,
-      factory = this.factory;
+      factory = this.factory,
+      recover = this.recover.bind(this),
+      promote = this.promote.bind(this),
+      sweep = this.sweep.bind(this);
 
   setInterval(function() {
     factory.execute(function(c) { return c.expire(key, secs); });
   }, ms);
 
+  setInterval(recover, 1000 * this.recoveryInterval);
+  setInterval(promote, 1000 * this.promotionInterval);
+  setInterval(sweep, 1000 * this.expiryInterval);
+
+}
+
+
+// #### function recover - asynchronous
+// Retries or fails stalled tasks of the team's type (see Tasks.recoverStalled).
+// Returns a promise with the recovered ids.
+Team.prototype.recover = function() {
+  return Tasks.recoverStalled(this.factory, this.name)
+              .otherwise(function(err) {
+                console.log(err);
+                return [];
+              });
+}
+
+
+// #### function promote - asynchronous
+// Queues delayed tasks of the team's type that are due (see Tasks.promoteDelayed).
+// Returns a promise with the promoted ids.
+Team.prototype.promote = function() {
+  return Tasks.promoteDelayed(this.factory, this.name)
+              .otherwise(function(err) {
+                console.log(err);
+                return [];
+              });
 }
 
 
 
+// #### function sweep - asynchronous
+// Expires tasks of the team's type that are past their deadline (see Tasks.sweepExpired).
+// Returns a promise with the expired ids.
+Team.prototype.sweep = function() {
+  return Tasks.sweepExpired(this.factory, this.name)
+              .otherwise(function(err) {
+                console.log(err);
+                return [];
+              });
+}
+
+
 exports = module.exports = Team;
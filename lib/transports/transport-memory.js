@@ -0,0 +1,878 @@
+"use strict";
+
+/*
+
+  ### Introduction
+  The memory transport keeps every key in the current process. It implements the same
+  interface as transport-redis (see its introduction for the list of functions), which
+  allows a factory created with `{ transport : 'memory' }` to run without a Redis server.
+
+  All connections in a process share a single store, and publish/subscribe is routed
+  through the subscriber clients of that store. As with Redis, values are stored as
+  strings and expiring keys are removed lazily.
+
+  Nothing is shared across processes: use this transport for tests and local development.
+
+*/
+
+
+// ### Dependencies
+var _ = require('lodash-node'),
+    when = require('when'),
+    EventEmitter = require('events').EventEmitter,
+    utils = require('../utils');
+
+
+// ### Store
+// Shared by all connections in the process.
+var store = {
+  keys        : {},
+  expires     : {},
+  waiters     : [],
+  subscribers : [],
+  sequence    : 0
+};
+
+
+function Transport(settings) {
+  this.settings = settings || {};
+}
+
+
+Transport.prototype.createConnection = function(done) {
+
+  try {
+    var connection = new TransportMemory(this.settings);
+  } catch (err) { return done(err, null); }
+
+  done(null, connection);
+}
+
+
+Transport.prototype.destroyConnection = function(connection) {
+  connection.client.end();
+}
+
+
+// #### function flush
+// Removes every key from the store (the equivalent of Redis' FLUSHALL).
+Transport.flush = function() {
+  store.keys = {};
+  store.expires = {};
+}
+
+
+
+// ### Client
+// Stands in for a redis client where one is used directly: the Broker hands
+// `connection.client` to the Dispatcher as its subscriber.
+function MemoryClient() {
+  this.channels = [];
+  this.connected = true;
+}
+
+MemoryClient.prototype.__proto__ = EventEmitter.prototype;
+
+
+// #### function subscribe
+// Listen for messages published to the given channels.
+MemoryClient.prototype.subscribe = function() {
+  var channels = _.flatten(_.toArray(arguments));
+
+  for (var i = 0; i < channels.length; ++i) {
+    if (!~this.channels.indexOf(channels[i])) this.channels.push(channels[i]);
+    this.emit('subscribe', channels[i], this.channels.length);
+  }
+
+  if (!~store.subscribers.indexOf(this)) store.subscribers.push(this);
+}
+
+
+// #### function unsubscribe
+// Stop listening for messages published to the given channels (all when none given).
+MemoryClient.prototype.unsubscribe = function() {
+  var channels = _.flatten(_.toArray(arguments));
+  if (!channels.length) channels = this.channels.slice();
+
+  this.channels = _.difference(this.channels, channels);
+  for (var i = 0; i < channels.length; ++i)
+    this.emit('unsubscribe', channels[i], this.channels.length);
+
+  if (!this.channels.length) store.subscribers = _.without(store.subscribers, this);
+}
+
+
+// #### function end
+// Closes the client: subscriptions are dropped and pending blocking pops are abandoned.
+MemoryClient.prototype.end = function() {
+  this.connected = false;
+  this.unsubscribe();
+  store.waiters = _.reject(store.waiters, { client : this });
+}
+
+
+
+function TransportMemory(args) {
+  this.settings = args || {};
+  this.client = new MemoryClient();
+  _.bindAll(this);
+}
+
+
+// #### function run
+// Helper function to wrap commands in promises. Commands are the names of the
+// transport functions, e.g. run('hashGet', [key, field]).
+TransportMemory.prototype.run = function(command) {
+  var args = arguments[1] || [];
+
+  if ("function" != typeof this[command] || 'run' == command)
+    return when.reject(new Error("Unknown command " + command));
+
+  return this[command].apply(this, args);
+}
+
+
+// #### function delete
+// Delete a key.
+TransportMemory.prototype.remove = function(key) {
+  var exists = "undefined" != typeof lookup(key);
+  unset(key);
+  return when.resolve(exists ? 1 : 0);
+}
+
+
+// #### function hashIncrement
+// Increment the integer value of a hash field by the given number.
+TransportMemory.prototype.hashIncrement = function(key, field, increment) {
+  return attempt(function() {
+    var hash = fetch(key, 'hash', true),
+        value = ("undefined" == typeof hash[field] ? 0 : parseInt(hash[field], 10)) + parseInt(increment, 10);
+
+    if (isNaN(value)) throw new Error("ERR hash value is not an integer");
+
+    hash[field] = String(value);
+    return value;
+  });
+};
+
+
+// #### function hashGet
+// Get the value of a hash field.
+TransportMemory.prototype.hashGet = function(key, field) {
+  return attempt(function() {
+    var hash = fetch(key, 'hash');
+    return (hash && "undefined" != typeof hash[field]) ? hash[field] : null;
+  });
+};
+
+
+// #### function hashGetAll
+// Get all the fields and values in a hash.
+TransportMemory.prototype.hashGetAll = function(key) {
+  return attempt(function() {
+    var hash = fetch(key, 'hash');
+    return hash ? _.clone(hash) : null;
+  });
+};
+
+
+// #### function hashSet
+// Set the string value of a hash field.
+TransportMemory.prototype.hashSet = function(key, field, value) {
+  return attempt(function() {
+    var hash = fetch(key, 'hash', true),
+        created = "undefined" == typeof hash[field];
+
+    hash[field] = stringify(JSON.stringify(value));
+    return created ? 1 : 0;
+  });
+};
+
+
+// #### function hashMultiSet
+// Set multiple field values based on an object.
+TransportMemory.prototype.hashMultiSet = function(key, obj) {
+  return attempt(function() {
+    var hash = fetch(key, 'hash', true),
+        serialized = utils.serialize(obj);
+
+    for (var field in serialized) hash[field] = stringify(serialized[field]);
+    return 'OK';
+  });
+};
+
+
+// #### function hashUnset
+// Delete one or more hash fields (fields are given as an array).
+TransportMemory.prototype.hashUnset = function(key, fields) {
+  return attempt(function() {
+    var removed = 0,
+        hash = fetch(key, 'hash');
+
+    if (!hash) return 0;
+
+    for (var i = 0; i < fields.length; ++i) {
+      if ("undefined" != typeof hash[fields[i]]) {
+        delete hash[fields[i]];
+        removed++;
+      }
+    }
+
+    if (!Object.keys(hash).length) unset(key);
+    return removed;
+  });
+};
+
+
+// #### function prepend
+// Prepend one or multiple values to a list (values given as an array).
+TransportMemory.prototype.prepend = function(key, values) {
+  return attempt(function() {
+    var list = fetch(key, 'list', true),
+        serialized = utils.serialize(values);
+
+    for (var i = 0; i < serialized.length; ++i) list.unshift(stringify(serialized[i]));
+
+    var length = list.length;
+    serveWaiters();
+    return length;
+  });
+};
+
+
+// #### function push
+// Append one or multiple values to a list.
+TransportMemory.prototype.push = function(key, values) {
+  return attempt(function() {
+    var list = fetch(key, 'list', true),
+        serialized = utils.serialize(values);
+
+    for (var i = 0; i < serialized.length; ++i) list.push(stringify(serialized[i]));
+
+    var length = list.length;
+    serveWaiters();
+    return length;
+  });
+};
+
+
+// #### function listRange
+// Get a range of values of a list. As with Redis, stop is included and negative
+// indexes count from the end.
+TransportMemory.prototype.listRange = function(key, start, stop) {
+  return attempt(function() {
+    var list = fetch(key, 'list') || [],
+        range = bounds(list.length, start, stop);
+
+    return list.slice(range[0], range[1]);
+  });
+};
+
+
+// #### function listTrim
+// Trims a list to a range of its values (see listRange for indexes).
+TransportMemory.prototype.listTrim = function(key, start, stop) {
+  return attempt(function() {
+    var list = fetch(key, 'list');
+    if (!list) return 'OK';
+
+    var range = bounds(list.length, start, stop);
+
+    store.keys[key].value = list.slice(range[0], range[1]);
+    if (!store.keys[key].value.length) unset(key);
+    return 'OK';
+  });
+};
+
+
+// #### function setAdd
+// Add one or more members to a set (members given as an array)
+TransportMemory.prototype.setAdd = function(key, members) {
+  return attempt(function() {
+    var added = 0,
+        set = fetch(key, 'set', true),
+        serialized = utils.serialize(members);
+
+    for (var i = 0; i < serialized.length; ++i) {
+      var member = stringify(serialized[i]);
+      if (!set.hasOwnProperty(member)) {
+        set[member] = true;
+        added++;
+      }
+    }
+
+    return added;
+  });
+};
+
+
+// #### function sortedAdd
+// Add one or more members to a sorted set, or update its score if it already exists.
+// Members consists of array [member1, score1, member2, score2, ...]
+// NOTE: priorities are negated as in transport-redis, and members with the same score
+// are kept in insertion order so that popping is FIFO.
+TransportMemory.prototype.sortedAdd = function(key, members) {
+  return attempt(function() {
+    return addEntries(key, utils.serialize(members), -1);
+  });
+};
+
+
+// #### function agedAdd
+// Adds members to a sorted set (see sortedAdd) whose priority increases by one every
+// `every` seconds they wait, as set by agingSet (if at all). Members consists of
+// array [priority1, member1, ...].
+TransportMemory.prototype.agedAdd = function(key, members) {
+  return attempt(function() {
+    var offset = agingOffset(key),
+        scored = utils.serialize(members);
+
+    for (var i = 0, len = scored.length - 1; i < len; i += 2)
+      scored[i] = offset - Number(scored[i]);
+
+    return addEntries(key, scored, 1);
+  });
+};
+
+
+// #### function agedPriority
+// Resolves with the current priority of a member added with agedAdd, or with null
+// if it is not in the set or the set does not age.
+TransportMemory.prototype.agedPriority = function(key, member) {
+  return attempt(function() {
+    var sorted = fetch(key, 'zset'),
+        entry = sorted && _.find(sorted, { member : stringify(member) });
+
+    if (!entry || !fetch(key + ':aging', 'hash')) return null;
+    return agingOffset(key) - entry.score;
+  });
+};
+
+
+// #### function agingSet
+// Sets the number of seconds after which members of a sorted set (see agedAdd) gain
+// a priority, or stops aging with 0. Members keep their current priority, and age
+// at the new rate from then. Resolves with 1 if the setting changed, otherwise 0.
+TransportMemory.prototype.agingSet = function(key, every) {
+  return attempt(function() {
+    var setting = fetch(key + ':aging', 'hash'),
+        offset = agingOffset(key);
+
+    every = Number(every) || 0;
+    if ((setting ? Number(setting.every) : 0) == every) return 0;
+
+    _.each(fetch(key, 'zset') || [], function(entry) { entry.score -= offset; });
+
+    if (every > 0)
+      store.keys[key + ':aging'] = { type : 'hash', value : { every : stringify(every), since : stringify(Date.now() / 1000) } };
+    else
+      unset(key + ':aging');
+
+    return 1;
+  });
+};
+
+
+// #### function sortedCount
+// Returns the number of members of a sorted set (or schedule).
+TransportMemory.prototype.sortedCount = function(key) {
+  return attempt(function() {
+    return (fetch(key, 'zset') || []).length;
+  });
+};
+
+
+// #### function expire
+// Set a key's time to live in seconds
+TransportMemory.prototype.expire = function(key, seconds) {
+  if ("undefined" == typeof lookup(key)) return when.resolve(0);
+
+  var ms = 1000 * Number(seconds);
+  if (ms <= 0) {
+    unset(key);
+  } else {
+    store.expires[key] = Date.now() + ms;
+
+    // Expired keys are also removed lazily; the timer only frees memory.
+    var timer = setTimeout(function() { lookup(key); }, ms);
+    if (timer.unref) timer.unref();
+  }
+
+  return when.resolve(1);
+};
+
+
+// #### function blockPop
+// Remove and get the first element in a list, or block until one is available.
+// Keys should be an array and timeout an integer (in seconds, 0 blocks indefinitely).
+// Resolves with [key, value], or null on timeout.
+TransportMemory.prototype.blockPop = function(keys, timeout) {
+
+  if (!Array.isArray(keys)) keys = [keys];
+  keys = keys.slice();
+
+  return block(this.client, timeout, function() { return popFirst(keys); });
+}
+
+
+// #### function sortedPop
+// Pops the element with the lower score from a sorted set atomically.
+// NOTE: this function must adhere to sorted function requirements (see intro)
+TransportMemory.prototype.sortedPop = function(key) {
+  return attempt(function() {
+    var sorted = fetch(key, 'zset');
+    if (!sorted || !sorted.length) return undefined;
+
+    var entry = sorted.shift();
+    if (!sorted.length) unset(key);
+    return entry.member;
+  });
+}
+
+
+// #### function dequeue
+// Blocks until listKey holds a signal, then pops one signal and the highest-priority
+// member of sortedKey together. Resolves with the member, or null on timeout.
+// Signals left over without a member are stale and removed.
+TransportMemory.prototype.dequeue = function(listKey, sortedKey, timeout) {
+
+  return block(this.client, timeout, function() {
+    var list = fetch(listKey, 'list');
+    if (!list || !list.length) return null;
+
+    var sorted = fetch(sortedKey, 'zset');
+    if (!sorted || !sorted.length) {
+      unset(listKey);
+      return null;
+    }
+
+    var entry = sorted.shift();
+    if (!sorted.length) unset(sortedKey);
+
+    list.shift();
+    if (!list.length) unset(listKey);
+
+    return entry.member;
+  });
+}
+
+
+// #### function unqueue
+// Atomically removes a member from sortedKey along with one signal from listKey.
+// Resolves with 1 if the member was removed, 0 if it was not waiting.
+TransportMemory.prototype.unqueue = function(listKey, sortedKey, member) {
+  return attempt(function() {
+    var sorted = fetch(sortedKey, 'zset'),
+        entry = sorted && _.find(sorted, { member : stringify(member) });
+
+    if (!entry) return 0;
+
+    sorted.splice(sorted.indexOf(entry), 1);
+    if (!sorted.length) unset(sortedKey);
+
+    var list = fetch(listKey, 'list');
+    if (list) {
+      list.pop();
+      if (!list.length) unset(listKey);
+    }
+
+    return 1;
+  });
+};
+
+
+// #### function scheduleAdd
+// Add one or more members to a schedule, or update their time if they already exist.
+// Members consists of array [time1, member1, time2, member2, ...] (times in ms)
+TransportMemory.prototype.scheduleAdd = function(key, members) {
+  return attempt(function() {
+    return addEntries(key, utils.serialize(members), 1);
+  });
+};
+
+
+// #### function schedulePop
+// Atomically removes and returns (as an array) up to limit members of a schedule
+// whose time is at most until.
+TransportMemory.prototype.schedulePop = function(key, until, limit) {
+  return attempt(function() {
+    var sorted = fetch(key, 'zset');
+    if (!sorted) return [];
+
+    var count = 0;
+    limit = limit || 100;
+    while (count < sorted.length && count < limit && sorted[count].score <= Number(until)) count++;
+
+    var members = _.pluck(sorted.splice(0, count), 'member');
+    if (!sorted.length) unset(key);
+    return members;
+  });
+};
+
+
+// #### function scheduleRange
+// Returns (as an array) up to limit members of a schedule, earliest first,
+// skipping the first offset members.
+TransportMemory.prototype.scheduleRange = function(key, offset, limit) {
+  return attempt(function() {
+    var sorted = fetch(key, 'zset') || [];
+
+    offset = offset || 0;
+    return _.pluck(sorted.slice(offset, limit ? offset + limit : undefined), 'member');
+  });
+};
+
+
+// #### function scheduleDue
+// Returns up to limit members of a schedule whose time is at most until, without
+// removing them, as an array of [member, time] pairs.
+TransportMemory.prototype.scheduleDue = function(key, until, limit) {
+  return attempt(function() {
+    var sorted = fetch(key, 'zset') || [],
+        due = _.filter(sorted, function(entry) { return entry.score <= Number(until); });
+
+    return _.map(due.slice(0, limit || 100), function(entry) { return [entry.member, entry.score]; });
+  });
+};
+
+
+// #### function scheduleAdvance
+// Atomically moves a member of a schedule to time `to`, provided its time is still
+// `from`. Resolves with 1 if moved, 0 otherwise: competing processes use this to
+// claim a due member.
+TransportMemory.prototype.scheduleAdvance = function(key, member, from, to) {
+  return attempt(function() {
+    var sorted = fetch(key, 'zset'),
+        entry = sorted && _.find(sorted, { member : stringify(member) });
+
+    if (!entry || entry.score != Number(from)) return 0;
+
+    entry.score = Number(to);
+    sorted.sort(compareEntries);
+    return 1;
+  });
+};
+
+
+// #### function scheduleRemove
+// Remove one or more members from a schedule (members given as an array).
+TransportMemory.prototype.scheduleRemove = function(key, members) {
+  return attempt(function() {
+    var sorted = fetch(key, 'zset');
+    if (!sorted) return 0;
+
+    var serialized = _.map(utils.serialize(members), stringify),
+        length = sorted.length;
+
+    _.remove(sorted, function(entry) { return !!~serialized.indexOf(entry.member); });
+    if (!sorted.length) unset(key);
+    return length - sorted.length;
+  });
+};
+
+
+// #### function rateAcquire
+// Takes a slot of a sliding window of `per` ms allowing `max` slots: the member is
+// recorded (scored by time, see scheduleRemove to give it back) if a slot is free.
+// Resolves with 0 if a slot was taken, otherwise with the ms until one frees.
+TransportMemory.prototype.rateAcquire = function(key, member, max, per) {
+  return attempt(function() {
+    var now = Date.now(),
+        sorted = fetch(key, 'zset', true);
+
+    _.remove(sorted, function(entry) { return entry.score <= now - per; });
+
+    if (sorted.length < max) {
+      addEntries(key, [now, member], 1);
+      store.expires[key] = now + Number(per);
+      return 0;
+    }
+
+    return Math.max(sorted[0].score + Number(per) - now, 1);
+  });
+};
+
+
+// #### function semaphoreAcquire
+// Sets a field of a hash of leases (expiry times in ms) to expire `lease` ms from now
+// if fewer than `max` leases are unexpired. Expired leases don't count, so they free
+// their slot. Resolves with 1 if the field was set, otherwise with 0.
+TransportMemory.prototype.semaphoreAcquire = function(key, member, max, lease) {
+  return attempt(function() {
+    var now = Date.now(),
+        hash = fetch(key, 'hash', true),
+        held = _.filter(_.values(hash), function(lease) { return Number(lease) > now; });
+
+    if (held.length >= max) return 0;
+
+    hash[member] = stringify(now + Number(lease));
+    return 1;
+  });
+};
+
+
+// #### function leaseSet
+// Sets a field of a hash of leases (see semaphoreAcquire) to expire `lease` ms from now.
+TransportMemory.prototype.leaseSet = function(key, member, lease) {
+  return attempt(function() {
+    var hash = fetch(key, 'hash', true),
+        created = "undefined" == typeof hash[member];
+
+    hash[member] = stringify(Date.now() + Number(lease));
+    return created ? 1 : 0;
+  });
+};
+
+
+// #### function leaseExpired
+// Resolves with the fields of a hash of leases (see semaphoreAcquire) that expired.
+TransportMemory.prototype.leaseExpired = function(key) {
+  return attempt(function() {
+    var now = Date.now(),
+        hash = fetch(key, 'hash') || {};
+
+    return _.filter(_.keys(hash), function(member) { return (Number(hash[member]) || 0) < now; });
+  });
+};
+
+
+// #### function historyPush
+// Appends an entry (an object) to a list that keeps its latest `max` entries, if the
+// key `owner` exists. The entry is numbered as its `seq` by the counter in the `events`
+// field of the hash seqKey. Resolves with the entry's number, or null if not appended.
+TransportMemory.prototype.historyPush = function(key, entry, max, seqKey, owner) {
+  return attempt(function() {
+    if ("undefined" == typeof lookup(owner)) return null;
+
+    var counter = fetch(seqKey, 'hash', true),
+        seq = (parseInt(counter.events, 10) || 0) + 1,
+        list = fetch(key, 'list', true);
+
+    counter.events = String(seq);
+    list.push(JSON.stringify(_.extend({ seq : seq }, entry)));
+    if (list.length > max) store.keys[key].value = list.slice(-max);
+
+    return seq;
+  });
+};
+
+
+// #### function publish
+// Post a message to a channel. Resolves with the number of receiving clients.
+TransportMemory.prototype.publish = function(channel, message) {
+
+  var receivers = _.filter(store.subscribers, function(client) {
+    return !!~client.channels.indexOf(channel);
+  });
+
+  message = stringify(message);
+
+  // Deliver asynchronously, as a subscriber connection would.
+  process.nextTick(function() {
+    for (var i = 0; i < receivers.length; ++i)
+      if (receivers[i].connected) receivers[i].emit('message', channel, message);
+    receivers = null;
+  });
+
+  return when.resolve(receivers.length);
+}
+
+
+// #### function pipeline
+// Runs several calls (an array of [name, args]) in order. Resolves with the array
+// of their results.
+TransportMemory.prototype.pipeline = function(calls) {
+  var self = this;
+
+  return when.reduce(calls, function(results, call) {
+    return self[call[0]].apply(self, call[1] || []).then(function(result) {
+      results.push(result);
+      return results;
+    });
+  }, []);
+};
+
+
+
+// ### Private functions
+
+// #### function attempt
+// Runs a synchronous store operation and wraps its outcome in a promise.
+function attempt(fn) {
+  try {
+    return when.resolve(fn());
+  } catch (err) {
+    return when.reject(err);
+  }
+}
+
+
+// #### function stringify
+// Values are stored as strings, as they would be in Redis.
+function stringify(value) {
+  return (null === value || "undefined" == typeof value) ? '' : String(value);
+}
+
+
+// #### function lookup
+// Returns a key's entry, removing it first when it has expired.
+function lookup(key) {
+  if (store.expires.hasOwnProperty(key) && store.expires[key] <= Date.now()) unset(key);
+  return store.keys[key];
+}
+
+
+// #### function unset
+// Removes a key and its expiry.
+function unset(key) {
+  delete store.keys[key];
+  delete store.expires[key];
+}
+
+
+// #### function fetch
+// Returns the value of a key after checking its type. Creates the key when `create`
+// is set. Throws the same error Redis would on a type mismatch.
+function fetch(key, type, create) {
+  var entry = lookup(key);
+
+  if ("undefined" == typeof entry) {
+    if (!create) return null;
+    entry = store.keys[key] = { type : type, value : ('list' == type || 'zset' == type) ? [] : {} };
+  }
+
+  if (entry.type != type)
+    throw new Error("WRONGTYPE Operation against a key holding the wrong kind of value");
+
+  return entry.value;
+}
+
+
+// #### function popFirst
+// Pops the head of the first non-empty list in keys. Returns [key, value] or null.
+function popFirst(keys) {
+  for (var i = 0; i < keys.length; ++i) {
+    var list = fetch(keys[i], 'list');
+    if (list && list.length) {
+      var value = list.shift();
+      if (!list.length) unset(keys[i]);
+      return [keys[i], value];
+    }
+  }
+
+  return null;
+}
+
+
+// #### function block
+// Runs attempt immediately and, while it returns null, each time a list receives
+// values, until it succeeds or the timeout (in seconds, 0 blocks indefinitely) expires.
+function block(client, timeout, attempt) {
+
+  try {
+    var res = attempt();
+  } catch (err) { return when.reject(err); }
+
+  if (null !== res) return when.resolve(res);
+
+  var waiter = {
+    client   : client,
+    attempt  : attempt,
+    deferred : when.defer()
+  };
+
+  timeout = Number(timeout) || 0;
+  if (timeout > 0) {
+    waiter.timer = setTimeout(function() {
+      store.waiters = _.without(store.waiters, waiter);
+      waiter.deferred.resolve(null);
+    }, 1000 * timeout);
+  }
+
+  store.waiters.push(waiter);
+  return waiter.deferred.promise;
+}
+
+
+// #### function serveWaiters
+// Retries blocked operations after values are pushed, longest-waiting first.
+function serveWaiters() {
+  var waiters = store.waiters.slice();
+
+  for (var i = 0; i < waiters.length; ++i) {
+    try {
+      var res = waiters[i].attempt();
+    } catch (err) {
+      store.waiters = _.without(store.waiters, waiters[i]);
+      waiters[i].deferred.reject(err);
+      continue;
+    }
+
+    if (null === res) continue;
+
+    if (waiters[i].timer) clearTimeout(waiters[i].timer);
+    store.waiters = _.without(store.waiters, waiters[i]);
+    waiters[i].deferred.resolve(res);
+  }
+}
+
+
+// #### function bounds
+// Converts an inclusive range of list indexes (negative counting from the end) into
+// arguments for slice.
+function bounds(length, start, stop) {
+  start = Number(start);
+  stop = Number(stop);
+
+  if (start < 0) start = Math.max(length + start, 0);
+  if (stop < 0) stop = length + stop;
+
+  return [start, Math.max(stop + 1, start)];
+}
+
+
+// #### function agingOffset
+// Returns the priorities members of an aging sorted set gained since its setting took
+// effect (see agingSet), or 0 if the set does not age.
+function agingOffset(key) {
+  var setting = fetch(key + ':aging', 'hash');
+  if (!setting) return 0;
+  return (Date.now() / 1000 - Number(setting.since)) / Number(setting.every);
+}
+
+
+// #### function addEntries
+// Adds [score1, member1, ...] to a sorted set, multiplying scores by sign. Members
+// already present have their score updated. Returns the number of members added.
+function addEntries(key, members, sign) {
+  var added = 0,
+      sorted = fetch(key, 'zset', true);
+
+  for (var i = 0, len = members.length - 1; i < len; i += 2) {
+    var score = sign * Number(members[i]),
+        member = stringify(members[i + 1]),
+        entry = _.find(sorted, { member : member });
+
+    if (isNaN(score)) throw new Error("ERR value is not a valid float");
+
+    if (entry)
+      entry.score = score;
+    else {
+      sorted.push({ member : member, score : score, sequence : ++store.sequence });
+      added++;
+    }
+  }
+
+  sorted.sort(compareEntries);
+  return added;
+}
+
+
+// #### function compareEntries
+// Orders sorted set entries by score, then by insertion.
+function compareEntries(a, b) {
+  return (a.score - b.score) || (a.sequence - b.sequence);
+}
+
+
+module.exports = Transport;
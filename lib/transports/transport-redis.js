@@ -17,15 +17,64 @@
   * hashUnset
   * prepend
   * push
+  * listRange
+  * listTrim
   * setAdd
   * sortedAdd
+  * agedAdd
+  * agedPriority
+  * agingSet
+  * sortedCount
   * expire
   * blockPop
   * sortedPop
+  * dequeue
+  * unqueue
+  * scheduleAdd
+  * schedulePop
+  * scheduleRange
+  * scheduleDue
+  * scheduleAdvance
+  * scheduleRemove
+  * rateAcquire
+  * semaphoreAcquire
+  * leaseSet
+  * leaseExpired
+  * historyPush
+  * publish
+  * pipeline
 
   Sorted functions must facilitate removing the highest-priority item, and to use
   FIFO when jobs have the same priority.
 
+  Aged functions keep the same order, but a member's priority increases by one every
+  `every` seconds it waits. As all members age at the same rate, their order only
+  depends on priority minus time added / every, which is scored once when added.
+  The aging setting of a sorted set is kept in the transport (in the hash <key>:aging,
+  see agingSet), so that every process scores members alike, and members are scored
+  from the time it took effect. Without a setting, members are scored as by sortedAdd.
+  The transport's clock is used, so that processes with skewed clocks agree.
+
+  Dequeue must block until the list holds a signal, then atomically remove one signal
+  along with the highest-priority item of the sorted set.
+
+  Schedule functions keep members ordered by timestamp (scores are not negated), and
+  popping due members must be atomic so that each member is claimed by one process.
+
+  RateAcquire must check and record a slot of a sliding window atomically, so that
+  processes sharing a rate limit never exceed it together.
+
+  Lease functions (semaphoreAcquire, leaseSet and leaseExpired) keep hashes of expiry
+  times in ms, set and compared by the transport's clock, so that processes with skewed
+  clocks agree on which leases expired.
+
+  HistoryPush must check that the owner of a history exists, number the entry and
+  append it atomically, so that entries are numbered in the order they are stored
+  and none outlive their owner.
+
+  Pipeline runs several calls, given as [[name, args], ...], in a single round-trip.
+  It accepts the functions that issue a single command and resolve with its reply.
+
 */
 
 
@@ -37,6 +86,171 @@ var _ = require('lodash-node'),
     utils = require('../utils');
 
 
+// ### Scripts
+// Lua scripts run server-side so that multi-key updates are atomic.
+var scripts = {};
+
+// Pops the highest-priority member of KEYS[2] along with one signal from KEYS[1].
+// Signals left over without a member are stale and removed.
+scripts.dequeue = [
+  "local id = redis.call('zrange', KEYS[2], 0, 0)[1]",
+  "if not id then",
+  "  redis.call('del', KEYS[1])",
+  "  return false",
+  "end",
+  "redis.call('zremrangebyrank', KEYS[2], 0, 0)",
+  "redis.call('lpop', KEYS[1])",
+  "return id"
+].join("\n");
+
+// Removes ARGV[1] from KEYS[2] along with one signal from KEYS[1].
+scripts.unqueue = [
+  "if redis.call('zrem', KEYS[2], ARGV[1]) == 0 then",
+  "  return 0",
+  "end",
+  "redis.call('rpop', KEYS[1])",
+  "return 1"
+].join("\n");
+
+// Removes and returns up to ARGV[2] members of KEYS[1] scored at most ARGV[1].
+scripts.schedulePop = [
+  "local members = redis.call('zrangebyscore', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[2])",
+  "for i, member in ipairs(members) do",
+  "  redis.call('zrem', KEYS[1], member)",
+  "end",
+  "return members"
+].join("\n");
+
+// Moves ARGV[1] of KEYS[1] to time ARGV[3] only if its time is still ARGV[2].
+scripts.scheduleAdvance = [
+  "local time = redis.call('zscore', KEYS[1], ARGV[1])",
+  "if not time or tonumber(time) ~= tonumber(ARGV[2]) then",
+  "  return 0",
+  "end",
+  "redis.call('zadd', KEYS[1], ARGV[3], ARGV[1])",
+  "return 1"
+].join("\n");
+
+// Adds members ARGV[2], ARGV[4]... of priority ARGV[1], ARGV[3]... to KEYS[1], aging
+// one priority every `every` seconds of KEYS[2] (if set): scores are negated
+// priorities at the time the setting took effect (`since`).
+scripts.agedAdd = [
+  "local setting = redis.call('hmget', KEYS[2], 'every', 'since')",
+  "local offset, added = 0, 0",
+  "if setting[1] then",
+  "  redis.replicate_commands()",
+  "  local time = redis.call('time')",
+  "  local now = tonumber(time[1]) + tonumber(time[2]) / 1000000",
+  "  offset = (now - tonumber(setting[2])) / tonumber(setting[1])",
+  "end",
+  "for i = 1, #ARGV, 2 do",
+  "  added = added + redis.call('zadd', KEYS[1], offset - tonumber(ARGV[i]), ARGV[i + 1])",
+  "end",
+  "return added"
+].join("\n");
+
+// Returns the current priority of ARGV[1] in KEYS[1] (see agedAdd), as a string, or
+// nothing if it is missing or KEYS[1] does not age.
+scripts.agedPriority = [
+  "local score = redis.call('zscore', KEYS[1], ARGV[1])",
+  "local setting = redis.call('hmget', KEYS[2], 'every', 'since')",
+  "if not score or not setting[1] then return false end",
+  "local time = redis.call('time')",
+  "local now = tonumber(time[1]) + tonumber(time[2]) / 1000000",
+  "return tostring((now - tonumber(setting[2])) / tonumber(setting[1]) - tonumber(score))"
+].join("\n");
+
+// Sets the aging of KEYS[1] to one priority every ARGV[1] seconds (none if 0) in
+// KEYS[2]. If it changed, members are scored again from now with their current
+// priority. Returns 1 if the setting changed, otherwise 0.
+scripts.agingSet = [
+  "redis.replicate_commands()",
+  "local setting = redis.call('hmget', KEYS[2], 'every', 'since')",
+  "local every = tonumber(ARGV[1])",
+  "if (tonumber(setting[1]) or 0) == every then return 0 end",
+  "local time = redis.call('time')",
+  "local now = tonumber(time[1]) + tonumber(time[2]) / 1000000",
+  "local offset = 0",
+  "if setting[1] then offset = (now - tonumber(setting[2])) / tonumber(setting[1]) end",
+  "local members = redis.call('zrange', KEYS[1], 0, -1, 'WITHSCORES')",
+  "for i = 1, #members, 2 do",
+  "  redis.call('zadd', KEYS[1], tonumber(members[i + 1]) - offset, members[i])",
+  "end",
+  "if every > 0 then",
+  "  redis.call('hmset', KEYS[2], 'every', every, 'since', now)",
+  "else",
+  "  redis.call('del', KEYS[2])",
+  "end",
+  "return 1"
+].join("\n");
+
+// Records ARGV[3] in the window KEYS[1] if fewer than ARGV[2] members were recorded in
+// the last ARGV[1] ms. Otherwise returns how long (ms) until a slot frees. The window
+// uses the server's clock, so that clients with skewed clocks share it.
+scripts.rateAcquire = [
+  "redis.replicate_commands()",
+  "local time = redis.call('time')",
+  "local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)",
+  "local per, max = tonumber(ARGV[1]), tonumber(ARGV[2])",
+  "redis.call('zremrangebyscore', KEYS[1], '-inf', now - per)",
+  "if redis.call('zcard', KEYS[1]) < max then",
+  "  redis.call('zadd', KEYS[1], now, ARGV[3])",
+  "  redis.call('pexpire', KEYS[1], per)",
+  "  return 0",
+  "end",
+  "local oldest = redis.call('zrange', KEYS[1], 0, 0, 'WITHSCORES')",
+  "return math.max(tonumber(oldest[2]) + per - now, 1)"
+].join("\n");
+
+// Sets field ARGV[3] of KEYS[1] to expire ARGV[1] ms from now if fewer than ARGV[2]
+// fields hold a time (ms) after now, by the server's clock. Returns 1 if the field
+// was set, otherwise 0.
+scripts.semaphoreAcquire = [
+  "redis.replicate_commands()",
+  "local time = redis.call('time')",
+  "local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)",
+  "local max = tonumber(ARGV[2])",
+  "local held = 0",
+  "for _, expires in ipairs(redis.call('hvals', KEYS[1])) do",
+  "  if (tonumber(expires) or 0) > now then held = held + 1 end",
+  "end",
+  "if held >= max then return 0 end",
+  "redis.call('hset', KEYS[1], ARGV[3], now + tonumber(ARGV[1]))",
+  "return 1"
+].join("\n");
+
+// Sets field ARGV[2] of KEYS[1] to expire ARGV[1] ms from now, by the server's clock.
+scripts.leaseSet = [
+  "redis.replicate_commands()",
+  "local time = redis.call('time')",
+  "local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)",
+  "return redis.call('hset', KEYS[1], ARGV[2], now + tonumber(ARGV[1]))"
+].join("\n");
+
+// Returns the fields of KEYS[1] holding a time (ms) before now, by the server's clock.
+scripts.leaseExpired = [
+  "local time = redis.call('time')",
+  "local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)",
+  "local leases, expired = redis.call('hgetall', KEYS[1]), {}",
+  "for i = 1, #leases, 2 do",
+  "  if (tonumber(leases[i + 1]) or 0) < now then table.insert(expired, leases[i]) end",
+  "end",
+  "return expired"
+].join("\n");
+
+// Appends the JSON object ARGV[1] to KEYS[1], numbered (as its first field, `seq`) by
+// the `events` field of KEYS[2], and keeps the latest ARGV[2] entries. Nothing is
+// appended if KEYS[3] does not exist. Returns the entry's number.
+scripts.historyPush = [
+  "if redis.call('exists', KEYS[3]) == 0 then return false end",
+  "local seq = redis.call('hincrby', KEYS[2], 'events', 1)",
+  "local length = redis.call('rpush', KEYS[1], '{\"seq\":' .. seq .. ',' .. string.sub(ARGV[1], 2))",
+  "local max = tonumber(ARGV[2])",
+  "if length > max then redis.call('ltrim', KEYS[1], -max, -1) end",
+  "return seq"
+].join("\n");
+
+
 function Transport(settings) {
   this.settings = settings || {};
 }
@@ -168,6 +382,20 @@ TransportRedis.prototype.push = function(key, values) {
 };
 
 
+// #### function listRange
+// Get a range of values of a list (stop is included, negative indexes count from the end).
+TransportRedis.prototype.listRange = function(key, start, stop) {
+  return this.run('lrange', [key, start, stop]);
+};
+
+
+// #### function listTrim
+// Trims a list to a range of its values (see listRange for indexes).
+TransportRedis.prototype.listTrim = function(key, start, stop) {
+  return this.run('ltrim', [key, start, stop]);
+};
+
+
 // #### function setAdd
 // Add one or more members to a set (members given as an array)
 TransportRedis.prototype.setAdd = function(key, members) {
@@ -190,6 +418,41 @@ TransportRedis.prototype.sortedAdd = function(key, members) {
 };
 
 
+// #### function agedAdd
+// Adds members to a sorted set (see sortedAdd) whose priority increases by one every
+// `every` seconds they wait, as set by agingSet (if at all). Members consists of
+// array [priority1, member1, ...].
+TransportRedis.prototype.agedAdd = function(key, members) {
+  return this.run('eval', [scripts.agedAdd, 2, key, key + ':aging'].concat(utils.serialize(members)));
+};
+
+
+// #### function agedPriority
+// Resolves with the current priority of a member added with agedAdd, or with null
+// if it is not in the set or the set does not age.
+TransportRedis.prototype.agedPriority = function(key, member) {
+  return this.run('eval', [scripts.agedPriority, 2, key, key + ':aging', member]).then(function(priority) {
+    return (null === priority || "undefined" == typeof priority) ? null : Number(priority);
+  });
+};
+
+
+// #### function agingSet
+// Sets the number of seconds after which members of a sorted set (see agedAdd) gain
+// a priority, or stops aging with 0. Members keep their current priority, and age
+// at the new rate from then. Resolves with 1 if the setting changed, otherwise 0.
+TransportRedis.prototype.agingSet = function(key, every) {
+  return this.run('eval', [scripts.agingSet, 2, key, key + ':aging', Number(every) || 0]);
+};
+
+
+// #### function sortedCount
+// Returns the number of members of a sorted set (or schedule).
+TransportRedis.prototype.sortedCount = function(key) {
+  return this.run('zcard', [key]);
+};
+
+
 // #### function expire
 // Set a key's time to live in seconds
 TransportRedis.prototype.expire = function(key, seconds) {
@@ -234,6 +497,148 @@ TransportRedis.prototype.sortedPop = function(key) {
 }
 
 
+// #### function dequeue
+// Blocks until listKey holds a signal, then atomically pops one signal and the
+// highest-priority member of sortedKey. Resolves with the member, or null if the
+// timeout (in seconds, 0 blocks indefinitely) expires first.
+// BRPOPLPUSH onto the same list waits for a signal without consuming it, so a
+// signal is only ever removed together with its member.
+TransportRedis.prototype.dequeue = function(listKey, sortedKey, timeout) {
+
+  var self = this,
+      deferred = when.defer();
+
+  var attempt = function() {
+    self.client.brpoplpush(listKey, listKey, timeout || 0, function(err, signal) {
+      if (err) return deferred.reject(err);
+      if (null === signal) return deferred.resolve(null);
+
+      self.client.eval(scripts.dequeue, 2, listKey, sortedKey, function(err, id) {
+        if (err) return deferred.reject(err);
+
+        // Another dispatcher took the member: wait for the next signal.
+        if (null === id) return attempt();
+        deferred.resolve(id);
+      });
+    });
+  }
+
+  attempt();
+  return deferred.promise.ensure(function() { self = attempt = null; });
+}
+
+
+// #### function unqueue
+// Atomically removes a member from sortedKey along with one signal from listKey.
+// Resolves with 1 if the member was removed, 0 if it was not waiting.
+TransportRedis.prototype.unqueue = function(listKey, sortedKey, member) {
+  return this.run('eval', [scripts.unqueue, 2, listKey, sortedKey, member]);
+};
+
+
+// #### function scheduleAdd
+// Add one or more members to a schedule, or update their time if they already exist.
+// Members consists of array [time1, member1, time2, member2, ...] (times in ms)
+TransportRedis.prototype.scheduleAdd = function(key, members) {
+  members.unshift(key);
+  return this.run('zadd', utils.serialize(members));
+};
+
+
+// #### function schedulePop
+// Atomically removes and returns (as an array) up to limit members of a schedule
+// whose time is at most until.
+TransportRedis.prototype.schedulePop = function(key, until, limit) {
+  if (Infinity == until) until = '+inf';
+  return this.run('eval', [scripts.schedulePop, 1, key, until, limit || 100]);
+};
+
+
+// #### function scheduleRange
+// Returns (as an array) up to limit members of a schedule, earliest first,
+// skipping the first offset members.
+TransportRedis.prototype.scheduleRange = function(key, offset, limit) {
+  offset = offset || 0;
+  return this.run('zrange', [key, offset, limit ? offset + limit - 1 : -1]);
+};
+
+
+// #### function scheduleDue
+// Returns up to limit members of a schedule whose time is at most until, without
+// removing them, as an array of [member, time] pairs.
+TransportRedis.prototype.scheduleDue = function(key, until, limit) {
+  if (Infinity == until) until = '+inf';
+
+  return this.run('zrangebyscore', [key, '-inf', until, 'WITHSCORES', 'LIMIT', 0, limit || 100])
+             .then(function(res) {
+               var pairs = [];
+               for (var i = 0; i < res.length; i += 2) pairs.push([res[i], Number(res[i + 1])]);
+               return pairs;
+             });
+};
+
+
+// #### function scheduleAdvance
+// Atomically moves a member of a schedule to time `to`, provided its time is still
+// `from`. Resolves with 1 if moved, 0 otherwise: competing processes use this to
+// claim a due member.
+TransportRedis.prototype.scheduleAdvance = function(key, member, from, to) {
+  return this.run('eval', [scripts.scheduleAdvance, 1, key, member, from, to]);
+};
+
+
+// #### function scheduleRemove
+// Remove one or more members from a schedule (members given as an array).
+TransportRedis.prototype.scheduleRemove = function(key, members) {
+  members.unshift(key);
+  return this.run('zrem', utils.serialize(members));
+};
+
+
+// #### function rateAcquire
+// Takes a slot of a sliding window of `per` ms allowing `max` slots: the member is
+// recorded (scored by time, see scheduleRemove to give it back) if a slot is free.
+// Resolves with 0 if a slot was taken, otherwise with the ms until one frees.
+TransportRedis.prototype.rateAcquire = function(key, member, max, per) {
+  return this.run('eval', [scripts.rateAcquire, 1, key, per, max, member]);
+};
+
+
+// #### function semaphoreAcquire
+// Sets a field of a hash of leases (expiry times in ms) to expire `lease` ms from now
+// if fewer than `max` leases are unexpired. Expired leases don't count, so they free
+// their slot. Times are taken from the server's clock. Resolves with 1 if the field
+// was set, otherwise with 0.
+TransportRedis.prototype.semaphoreAcquire = function(key, member, max, lease) {
+  return this.run('eval', [scripts.semaphoreAcquire, 1, key, lease, max, member]);
+};
+
+
+// #### function leaseSet
+// Sets a field of a hash of leases (see semaphoreAcquire) to expire `lease` ms from
+// now, by the server's clock.
+TransportRedis.prototype.leaseSet = function(key, member, lease) {
+  return this.run('eval', [scripts.leaseSet, 1, key, lease, member]);
+};
+
+
+// #### function leaseExpired
+// Resolves with the fields of a hash of leases (see semaphoreAcquire) that expired,
+// by the server's clock.
+TransportRedis.prototype.leaseExpired = function(key) {
+  return this.run('eval', [scripts.leaseExpired, 1, key]);
+};
+
+
+// #### function historyPush
+// Appends an entry (an object) to a list that keeps its latest `max` entries, if the
+// key `owner` exists. The entry is numbered as its `seq` by the counter in the `events`
+// field of the hash seqKey. Resolves with the entry's number, or null if not appended.
+TransportRedis.prototype.historyPush = function(key, entry, max, seqKey, owner) {
+  return this.run('eval', [scripts.historyPush, 3, key, seqKey, owner, JSON.stringify(entry), max]);
+};
+
+
 // #### function publish
 // Post a message to a channel.
 TransportRedis.prototype.publish = function(channel, message) {
@@ -241,4 +646,33 @@ TransportRedis.prototype.publish = function(channel, message) {
 }
 
 
+// #### function pipeline
+// Sends several calls (an array of [name, args]) as one MULTI/EXEC transaction.
+// The calls' commands are recorded by running them against a stand-in for `run`.
+// Resolves with the array of replies.
+TransportRedis.prototype.pipeline = function(calls) {
+
+  var deferred = when.defer(),
+      commands = [],
+      recorder = Object.create(this);
+
+  recorder.run = function(command, args) {
+    commands.push([command].concat(args || []));
+    return when.resolve();
+  };
+
+  try {
+    for (var i = 0; i < calls.length; ++i)
+      TransportRedis.prototype[calls[i][0]].apply(recorder, calls[i][1] || []);
+  } catch (err) { return when.reject(err); }
+
+  this.client.multi(commands).exec(function(err, replies) {
+    if (err) return deferred.reject(err);
+    return deferred.resolve(replies);
+  });
+
+  return deferred.promise;
+}
+
+
 module.exports = Transport;
@@ -14,6 +14,9 @@
 
 var when = require('when'),
     EventEmitter = require('events').EventEmitter,
+    errors = require('./errors'),
+    Middleware = require('./middleware'),
+    Schema = require('./schema'),
     Tasks = require('./tasks');
 
 
@@ -27,21 +30,77 @@ Worker.prototype.__proto__ = EventEmitter.prototype;
 
 
 // #### function work
-// Executes the procedure code for a task.
+// Executes the procedure code for a task. The task's lease is renewed while
+// the procedure runs. If the task has a `timeout` (seconds), the attempt fails
+// with a TimeoutError once it runs longer, and a late `done` is ignored.
+// Likewise, a `cancel` event (see Task.cancel) stops the attempt with a
+// CancelledError and sets `task.cancelled` for procedures that check it.
+//
+// Procedures either call `done(err, result)`, or return a promise (e.g. async
+// functions) whose value is the result and whose rejection fails the attempt.
+// Exceptions thrown by `work` also fail the attempt.
+//
+// `work` runs within the middleware of the factory and of the procedure (see
+// Middleware), whose onError hooks run before a failure is stored. Data that does not
+// match the procedure's schema fails the task with a ValidationError, without retries.
 Worker.prototype.work = function() {
 
   var task = null,
       self = this,
       procedure = this.procedure,
+      stack = Middleware.stack(this.factory, procedure),
+      deferred = when.defer(),
+      renewal = null,
+      timer = null,
       promise;
 
+  var stopTimers = function() {
+    if (renewal) clearInterval(renewal);
+    if (timer) clearTimeout(timer);
+    renewal = timer = null;
+  }
+
+  var settle = function(err, result) {
+    stopTimers();
+    if (err) return deferred.reject(err);
+    return deferred.resolve(result);
+  }
+
+  var cancel = function() {
+    task.cancelled = true;
+    stopTimers();
+    deferred.reject(new errors.CancelledError("Task " + task.id + " was cancelled"));
+  }
+
   promise = Tasks.get(this.factory, this.id)
                  .then(function(t) {
-                    var deferred = when.defer(),
-                        handlers = Object.keys(procedure.handlers);
-
                     task = t;
-                    task.activate();
+
+                    // Watch for cancellation before the task becomes active
+                    task.on('cancel', cancel);
+                    if ('cancelled' == task.info().state) cancel();
+
+                    return task.cancelled ? deferred.promise : task.activate();
+                 })
+                 .then(function() {
+                    var handlers = Object.keys(procedure.handlers);
+
+                    if (task.cancelled) return deferred.promise;
+
+                    // Tasks saved by producers lacking the procedure are validated here
+                    Schema.check(procedure, task.type, task.data);
+
+                    renewal = setInterval(function() { task.renew(); }, 1000 * task.lease() / 3);
+
+                    if (task.metadata.timeout > 0) {
+                      var secs = Number(task.metadata.timeout);
+
+                      timer = setTimeout(function() {
+                        stopTimers();
+                        task.announce('timeout');
+                        deferred.reject(new errors.TimeoutError("Task timed out after " + secs + " seconds"));
+                      }, 1000 * secs);
+                    }
 
                     // Set up listeners (on binds globally/publishes, bindLocal does not)
                     for (var i in handlers) {
@@ -50,39 +109,90 @@ Worker.prototype.work = function() {
                     }
 
                     // Worker is responsible for updating task progress, completion, etc.
-                    procedure.work(task, function(err) {
-                      if (err) return deferred.reject(err);
-                      return deferred.resolve();
-                    });
+                    Middleware.run(stack, task, function() { return privates.invoke(procedure, task); })
+                              .then(function(result) { settle(null, result); }, function(err) {
+                                settle(err || new Error("Work rejected without a reason"));
+                              });
 
                     return deferred.promise;
                  })
-                 .then(function() {
+                 .then(function(result) {
                     // Handle successful completion state.
-                    return task.success();
+                    return task.success(result);
                  });
 
 
-  // Handle failure state.
-  promise.otherwise(function(err) {
-    task.failure(err);
-    return when.reject(err);
+  // Handle failure state. The returned promise rejects once the failure is stored.
+  // Cancelled tasks are already finalized: they release their lease, and their state
+  // is written again in case activating the task overwrote it (see privates.cancelled).
+  promise = promise.otherwise(function(err) {
+    stopTimers();
+    if (!task) return when.reject(err);
+
+    var handled = (err instanceof errors.CancelledError) ? privates.cancelled(task) :
+                  Middleware.fail(stack, task, err).then(function() { return task.failure(err); });
+
+    return handled.then(function() {
+      return when.reject(err);
+    });
   });
 
   // Clean up afterwards.
-  promise.ensure(function() {
+  return promise.ensure(function() {
+    stopTimers();
     self.emit('end', self.id);
 
     if (task) {
+      self.factory.dispatcher.ignoreTask(task.id, task);
       task.removeAllListeners();
       task = null;
     }
 
     self = null;
     procedure = null;
+    stack = null;
+  });
+
+}
+
+
+
+// ### Private functions
+
+var privates = {};
+
+
+// #### function cancelled - asynchronous
+// Releases the lease of a cancelled task and stores its `cancelled` state, which the
+// worker's activation may have overwritten if the task was cancelled as it was being
+// dequeued. Returns a valueless promise.
+privates.cancelled = function(task) {
+  return task.deactivate().then(function() {
+    return task.info({ state : 'cancelled', ended : task.metadata.ended || Date.now() });
   });
+}
+
+
+// #### function invoke - asynchronous
+// Runs a procedure's `work`, which either calls `done` or returns a promise.
+// Synchronous exceptions are rejections. Returns a promise with the result.
+privates.invoke = function(procedure, task) {
+
+  var deferred = when.defer();
+
+  try {
+    var returned = procedure.work(task, function(err, result) {
+      if (err) return deferred.reject(err);
+      return deferred.resolve(result);
+    });
+  } catch (err) { deferred.reject(err); }
+
+  if (returned && "function" == typeof returned.then)
+    returned.then(deferred.resolve, function(err) {
+      deferred.reject(err || new Error("Work rejected without a reason"));
+    });
 
-  return promise;
+  return deferred.promise;
 
 }
 
@@ -1,5 +1,3 @@
-
-
 // Chai test suite
 global.chai = require('chai');
 chai.use(require("chai-as-promised"));
@@ -8,14 +6,23 @@ global.expect = chai.expect;
 global.assert = chai.assert;
 
 
-var redis = require('redis'),
-    redisClient = redis.createClient();
+// Tests run against the in-memory transport unless TASKCO_TRANSPORT=redis is set.
+global.cxnSettings = { transport : process.env.TASKCO_TRANSPORT || 'memory' };
+
+if ('redis' == cxnSettings.transport) {
+  var redis = require('redis'),
+      redisClient = redis.createClient();
+
+  global.flushStore = function(done) { redisClient.flushall(done); };
+} else {
+  var MemoryTransport = require('../../lib/transports/transport-memory.js');
 
-global.flushRedis = function(done) { redisClient.flushall(done); };
+  global.flushStore = function(done) { MemoryTransport.flush(); done(); };
+}
 
 
 // Components
-global.TaskCo  = require('../../index.js').setup(),
+global.TaskCo  = require('../../index.js').setup(cxnSettings),
 global.Factory = require('../../lib/factory.js');
 global.Procedure = require('../../lib/procedure.js');
 global.Team = require('../../lib/team.js');
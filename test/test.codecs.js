@@ -0,0 +1,184 @@
+"use strict";
+
+// ### Codecs test suite
+
+
+var _      = require('lodash-node'),
+    when   = require('when'),
+    crypto = require('crypto'),
+    Codecs = require('../lib/codecs.js'),
+    vars = {};
+
+describe("Codecs Module", function() {
+
+  before(function(done) {
+    vars.factory = new Factory("codecs", cxnSettings);
+    vars.keys = { one : crypto.randomBytes(32), two : crypto.randomBytes(32) };
+    flushStore(done);
+  });
+
+
+  describe("#normalize", function() {
+
+    it("defaults to the json serializer", function() {
+      expect(Codecs.normalize({}).serializer).to.equal(Codecs.json);
+    });
+
+    it("pukes on codecs without decode", function() {
+      var badFxn = function() { return Codecs.normalize({ codecs : [{ name : 'rot13', encode : function() {} }] }); };
+      expect(badFxn).to.throw(/Codec rot13 must have encode and decode functions/);
+    });
+
+  });
+
+
+  describe("#encode", function() {
+
+    it("stores plain JSON without codecs", function() {
+      expect(Codecs.encode(vars.factory, 'plain', { a : 1 })).to.equal('{"a":1}');
+    });
+
+    it("compresses payloads above the threshold", function() {
+      var data = { html : new Array(200).join('<p>') };
+
+      vars.factory.addProcedure("compressed", function(task, done) { done(); })
+                  .useCodecs({ codecs : [Codecs.gzip({ threshold : 100 })] });
+
+      expect(Codecs.encode(vars.factory, 'compressed', { a : 1 })).to.equal('{"a":1}');
+      expect(Codecs.encode(vars.factory, 'compressed', data)).to.match(/^\$tc:json:gzip:/);
+      expect(Codecs.decode(vars.factory, 'compressed', Codecs.encode(vars.factory, 'compressed', data))).to.deep.equal(data);
+    });
+
+    it("preserves dates and buffers with the typed serializer", function() {
+      var data = { at : new Date(1000), raw : Buffer.from('hi') };
+
+      vars.factory.addProcedure("typed", function(task, done) { done(); })
+                  .useCodecs({ serializer : Codecs.typed });
+
+      var decoded = Codecs.decode(vars.factory, 'typed', Codecs.encode(vars.factory, 'typed', data));
+      expect(decoded.at).to.be.an.instanceof(Date);
+      expect(decoded.at.getTime()).to.equal(1000);
+      expect(Buffer.isBuffer(decoded.raw)).to.be.true;
+      expect(decoded.raw.toString()).to.equal('hi');
+    });
+
+  });
+
+
+  describe("#decode", function() {
+
+    it("decodes payloads encrypted with rotated keys", function() {
+      var keys = vars.keys,
+          encrypted;
+
+      vars.factory.addProcedure("secret", function(task, done) { done(); })
+                  .useCodecs({ codecs : [Codecs.aesGcm({ key : function(id) { return keys[id]; }, keyId : 'one' })] });
+
+      encrypted = Codecs.encode(vars.factory, 'secret', { ssn : '123' });
+      expect(encrypted).to.not.contain('123');
+
+      vars.factory.procedures.secret.useCodecs({
+        codecs : [Codecs.aesGcm({ key : function(id) { return keys[id]; }, keyId : 'two' })]
+      });
+
+      expect(Codecs.decode(vars.factory, 'secret', encrypted)).to.deep.equal({ ssn : '123' });
+    });
+
+    it("pukes on unknown codecs", function() {
+      var badFxn = function() { return Codecs.decode(vars.factory, 'plain', '$tc:json:rot13:abc'); };
+      expect(badFxn).to.throw(/Unknown codec rot13/);
+    });
+
+  });
+
+
+  describe("stored tasks", function() {
+
+    it("keeps task data transparent to work", function(done) {
+      var seen = null,
+          key = vars.keys.one;
+
+      vars.factory.useCodecs({ serializer : Codecs.typed, codecs : [Codecs.gzip({ threshold : 0 }), Codecs.aesGcm({ key : key })] });
+
+      vars.factory.addProcedure("sealed", function(task, done) {
+        seen = task.data;
+        done(null, { sent : task.data.at });
+      }).andTeam();
+
+      vars.factory.quickEntry("sealed", { to : 'someone@example.com', at : new Date(5000) })
+      .then(function(task) {
+        vars.sealed = task;
+        return task.result();
+      })
+      .then(function(result) {
+        expect(seen.to).to.equal('someone@example.com');
+        expect(seen.at).to.be.an.instanceof(Date);
+        expect(result.sent.getTime()).to.equal(5000);
+
+        return vars.factory.execute(function(c) { return c.hashGetAll(vars.sealed.key); });
+      })
+      .then(function(hash) {
+        expect(hash.data).to.match(/^\$tc:typed:gzip,aes-256-gcm:/);
+        expect(hash.result).to.match(/^\$tc:typed:gzip,aes-256-gcm:/);
+        expect(hash.data).to.not.contain('someone');
+
+        return vars.factory.getTaskStatus(vars.sealed.id);
+      })
+      .then(function(metadata) {
+        expect(metadata.result.sent.getTime()).to.equal(5000);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("keeps events and logs encoded", function(done) {
+      var messages = [],
+          received = [],
+          task;
+
+      vars.factory.addProcedure("whispered", function(task, done) {
+        task.log('info', "Sending", { to : task.data.to }).then(function() {
+          done(null, { receipt : 'receipt-for-someone' });
+        });
+      }).andTeam();
+
+      vars.factory.dispatcher.ready
+      .then(function(subscriber) {
+        subscriber.on('message', function(channel, message) { messages.push(message); });
+        return vars.factory.createTask("whispered", { to : 'someone@example.com' });
+      })
+      .then(function(t) {
+        task = t;
+        task.on('success', function(result) { received.push(result); });
+        return task.save();
+      })
+      .then(function() {
+        return task.result();
+      })
+      .then(function() {
+        var prefix = vars.factory.prefix + 'tasks:' + task.id;
+
+        return vars.factory.execute(function(c) {
+          return when.all([c.listRange(prefix + ':events', 0, -1), c.listRange(prefix + ':logs', 0, -1)]);
+        });
+      })
+      .then(function(stored) {
+        var raw = JSON.stringify([stored, messages]);
+
+        expect(stored[0]).to.not.be.empty;
+        expect(stored[1]).to.have.length(1);
+        expect(raw).to.not.contain('someone');
+
+        expect(received[0].receipt).to.equal('receipt-for-someone');
+        return when.all([vars.factory.getTaskEvents(task.id), vars.factory.getTaskLogs(task.id)]);
+      })
+      .then(function(read) {
+        expect(_.find(read[0], { event : 'success' }).args).to.deep.equal([{ receipt : 'receipt-for-someone' }]);
+        expect(read[1][0].message).to.equal("Sending");
+        expect(read[1][0].fields).to.deep.equal({ to : 'someone@example.com' });
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+});
@@ -0,0 +1,45 @@
+"use strict";
+
+// ### Cron test suite
+
+
+var Cron = require('../lib/cron.js');
+
+describe("Cron Module", function() {
+
+  var utc = function(text) { return Date.parse(text + 'Z'); };
+
+
+  describe("#next", function() {
+
+    it("fires on steps", function() {
+      var cron = new Cron('*/5 * * * *', true);
+      expect(cron.next(utc('2024-01-01T10:02:30'))).to.equal(utc('2024-01-01T10:05:00'));
+      expect(cron.next(utc('2024-01-01T10:05:00'))).to.equal(utc('2024-01-01T10:10:00'));
+    });
+
+    it("accepts ranges, lists and names", function() {
+      var cron = new Cron('0 9,17 * * mon-fri', true);
+      expect(cron.next(utc('2024-01-05T17:00:00'))).to.equal(utc('2024-01-08T09:00:00'));
+    });
+
+    it("skips months without the day", function() {
+      var cron = new Cron('0 0 31 * *', true);
+      expect(cron.next(utc('2024-01-31T12:00:00'))).to.equal(utc('2024-03-31T00:00:00'));
+    });
+
+    it("matches either day field when both are restricted", function() {
+      var cron = new Cron('0 0 15 * sun', true);
+      expect(cron.next(utc('2024-01-08T00:00:00'))).to.equal(utc('2024-01-14T00:00:00'));
+      expect(cron.next(utc('2024-01-14T00:00:00'))).to.equal(utc('2024-01-15T00:00:00'));
+    });
+
+    it("rejects invalid expressions", function() {
+      expect(function() { new Cron('* * *'); }).to.throw(/expected 5 fields/);
+      expect(function() { new Cron('61 * * * *'); }).to.throw(/bad minute field/);
+      expect(function() { new Cron('* * * foo *'); }).to.throw(/bad month field/);
+    });
+
+  });
+
+});
@@ -2,6 +2,8 @@
 // ### Factory test suite
 
 
+var when = require('when');
+
 var vars = {
   tasks : []
 }
@@ -9,14 +11,14 @@ var vars = {
 describe("Factory Module", function() {
 
   before(function(done) {
-    flushRedis(done);
+    flushStore(done);
   });
 
   describe("#constructor", function() {
 
     it("creates a factory", function() {
       var name = "custom";
-      vars.factory = new Factory(name);
+      vars.factory = new Factory(name, cxnSettings);
       expect(vars.factory.name).to.equal(name);
       expect(vars.factory.prefix).to.equal("tc:" + name + ":");
       expect(vars.factory.broker).to.exist;
@@ -86,6 +88,21 @@ describe("Factory Module", function() {
       expect(badFxn).to.throw(Error);
       expect(Object.keys(vars.factory.procedures)).to.have.length(1)
     });
+
+    it("pukes on invalid rate limits", function() {
+      badFxn = function() { return vars.factory.addProcedure("badOp", function() {}, { rateLimit : { max : 0 } }); }
+      expect(badFxn).to.throw(/rateLimit/);
+    });
+
+    it("pukes on invalid global concurrency", function() {
+      badFxn = function() { return vars.factory.addProcedure("badOp", function() {}, { globalConcurrency : 0 }); }
+      expect(badFxn).to.throw(/globalConcurrency/);
+    });
+
+    it("pukes on invalid aging", function() {
+      badFxn = function() { return vars.factory.addProcedure("badOp", function() {}, { aging : -1 }); }
+      expect(badFxn).to.throw(/aging/);
+    });
   });
 
 
@@ -124,6 +141,81 @@ describe("Factory Module", function() {
   });
 
 
+  describe("schemas", function() {
+
+    before(function() {
+      vars.validated = { type : 'object', required : ['to'], properties : { to : { type : 'string' } } };
+    });
+
+    it("rejects data that does not match the schema", function(done) {
+      vars.factory.addProcedure("validated", { work : function(task, done) { done(); }, schema : vars.validated });
+
+      vars.factory.quickEntry("validated", { to : 5 })
+      .then(function() {
+        throw new Error("Should have been rejected");
+      }, function(err) {
+        expect(err).to.be.an.instanceof(TaskCo.errors.ValidationError);
+        expect(err.errors).to.deep.equal([{ path : 'data.to', message : "must be of type string" }]);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("reports invalid items of a batch", function(done) {
+      vars.factory.quickEntryMany("validated", [{ to : 'a' }, {}])
+      .then(function(res) {
+        expect(res.tasks).to.have.length(1);
+        expect(res.invalid).to.have.length(1);
+        expect(res.invalid[0].index).to.equal(1);
+        expect(res.invalid[0].error.errors[0].path).to.equal('data.to');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("checks data once changed by beforeSave hooks", function(done) {
+      vars.factory.addProcedure("addressed", { work : function(task, done) { done(); }, schema : vars.validated })
+      .use({ beforeSave : function(task) { task.data.to = task.data.to || 'postmaster'; } });
+
+      vars.factory.quickEntry("addressed", {})
+      .then(function(task) {
+        expect(task.data.to).to.equal('postmaster');
+        return vars.factory.quickEntryMany("addressed", [{}, { to : 5 }]);
+      })
+      .then(function(res) {
+        expect(res.tasks[0].data.to).to.equal('postmaster');
+        expect(res.invalid).to.have.length(1);
+        expect(res.invalid[0].index).to.equal(1);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("fails invalid tasks saved without the schema before work", function(done) {
+      var ran = false;
+
+      vars.factory.quickEntry("revalidated", {}, { maxAttempts : 3 })
+      .then(function(task) {
+        vars.factory.addProcedure("revalidated", {
+          work   : function(task, done) { ran = true; done(); },
+          schema : vars.validated
+        }).andTeam();
+
+        return task.result().then(function() {
+          throw new Error("Should have failed");
+        }, function(err) {
+          expect(err.message).to.match(/Invalid data for revalidated: data.to is required/);
+          expect(ran).to.be.false;
+          return vars.factory.getTaskStatus(task.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('failure');
+        expect(metadata.attempts).to.equal(1);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+
   describe("#saveTask", function() {
 
     it("saves a standard task", function(done) {
@@ -246,6 +338,1007 @@ describe("Factory Module", function() {
   });
 
 
+  describe("#cancelTask", function() {
+
+    it("removes a waiting task from the queue", function(done) {
+      var waitKey = vars.factory.prefix + 'tasks:cancellable:waiting';
+
+      vars.factory.quickEntry("cancellable", { uid : "cancelMe" })
+      .then(function(task) {
+        return vars.factory.cancelTask(task.id);
+      })
+      .then(function(task) {
+        expect(task.info().state).to.equal('cancelled');
+        return vars.factory.execute(function(c) { return c.sortedPop(waitKey); });
+      })
+      .then(function(id) {
+        expect(id).to.not.exist;
+        return vars.factory.lacksTask("cancellable", "cancelMe");
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("removes a delayed task from the schedule", function(done) {
+      var delayKey = vars.factory.prefix + 'tasks:cancellable:delayed';
+
+      vars.factory.quickEntry("cancellable", {}, { delay : 60 })
+      .then(function(task) {
+        return vars.factory.cancelTask(task.id);
+      })
+      .then(function(task) {
+        return vars.factory.getTaskStatus(task.id);
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('cancelled');
+        return vars.factory.execute(function(c) { return c.schedulePop(delayKey, Infinity); });
+      })
+      .should.eventually.deep.equal([]).and.notify(done);
+    });
+
+    it("cancels a task that already left its queue", function(done) {
+      var typeKey = vars.factory.prefix + 'tasks:cancellable',
+          expireKey = typeKey + ':expiring',
+          received = when.defer();
+
+      vars.factory.quickEntry("cancellable", {}, { expiresIn : 60 })
+      .then(function(task) {
+        vars.dequeued = task;
+
+        // Dequeued by a worker, which activates it
+        return vars.factory.execute(function(c) {
+          return c.unqueue(typeKey, typeKey + ':waiting', task.id);
+        });
+      })
+      .then(function() {
+        return vars.factory.getTask(vars.dequeued.id);
+      })
+      .then(function(running) {
+        running.on('cancel', function() { received.resolve(); });
+        return running.activate();
+      })
+      .then(function() {
+        return vars.dequeued.cancel();
+      })
+      .then(function() {
+        return vars.factory.getTaskStatus(vars.dequeued.id);
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('cancelled');
+        return received.promise;
+      })
+      .then(function() {
+        return vars.factory.execute(function(c) { return c.scheduleRange(expireKey); });
+      })
+      .should.eventually.deep.equal([]).and.notify(done);
+    });
+
+    it("does not cancel an ended task", function(done) {
+      vars.factory.quickEntry("cancellable", {})
+      .then(function(task) {
+        return vars.factory.cancelTask(task.id);
+      })
+      .then(function(task) {
+        return vars.factory.cancelTask(task.id);
+      })
+      .should.be.rejected.and.notify(done);
+    });
+
+  });
+
+
+  describe("dead-lettered tasks", function() {
+
+    // Saves, runs and fails a task (a single attempt by default).
+    var failTask = function(options) {
+      return vars.factory.quickEntry("doomed", {}, options).then(function(task) {
+        return task.activate()
+                   .then(function() { return task.failure(new Error("Doomed")); })
+                   .then(function() { return task; });
+      });
+    };
+
+    before(function(done) {
+      failTask({ removeAfter : 0.01 })
+      .then(function(task) {
+        vars.dead = [task];
+        return failTask({ deadLetter : false });
+      })
+      .then(function() {
+        return failTask();
+      })
+      .then(function(task) {
+        vars.dead.push(task);
+        done();
+      });
+    });
+
+    it("lists dead-lettered tasks with their history", function(done) {
+      vars.factory.getDeadTasks("doomed")
+      .then(function(tasks) {
+        expect(tasks).to.have.length(2);
+        expect(tasks[0].id).to.equal(String(vars.dead[0].id));
+        expect(tasks[0].info().state).to.equal('failure');
+        expect(tasks[0].info().error).to.equal('Error: Doomed');
+        expect(tasks[0].info().history).to.have.length(1);
+        expect(tasks[0].info().history[0].attempt).to.equal(1);
+        return vars.factory.getDeadTasks("doomed", { offset : 1, limit : 1 });
+      })
+      .then(function(tasks) {
+        expect(tasks).to.have.length(1);
+        expect(tasks[0].id).to.equal(String(vars.dead[1].id));
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("keeps dead-lettered tasks despite removeAfter", function(done) {
+      setTimeout(function() {
+        vars.factory.getTask(vars.dead[0].id).should.be.fulfilled.and.notify(done);
+      }, 20);
+    });
+
+    it("requeues a dead-lettered task with fresh attempts", function(done) {
+      vars.factory.requeueDeadTask(vars.dead[0].id)
+      .then(function() {
+        return vars.factory.getTaskStatus(vars.dead[0].id);
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('waiting');
+        expect(metadata.attempts).to.equal(0);
+        expect(metadata.error).to.not.exist;
+        expect(metadata.history).to.have.length(1);
+        return vars.factory.getDeadTasks("doomed");
+      })
+      .then(function(tasks) {
+        expect(tasks).to.have.length(1);
+        return vars.factory.requeueDeadTask(vars.dead[0].id);
+      })
+      .should.be.rejected.and.notify(done);
+    });
+
+    it("requeues all dead-lettered tasks", function(done) {
+      failTask()
+      .then(function() {
+        return vars.factory.requeueDeadTasks("doomed");
+      })
+      .then(function(ids) {
+        expect(ids).to.have.length(2);
+        return vars.factory.getDeadTasks("doomed");
+      })
+      .should.eventually.have.length(0).and.notify(done);
+    });
+
+    it("drops dead-lettered tasks that no longer exist", function(done) {
+      var key = vars.factory.prefix + 'tasks:doomed:dead';
+
+      failTask()
+      .then(function(task) {
+        return vars.factory.execute(function(c) { return c.remove(task.key); });
+      })
+      .then(function() {
+        return vars.factory.requeueDeadTasks("doomed");
+      })
+      .then(function(ids) {
+        expect(ids).to.have.length(0);
+        return vars.factory.execute(function(c) { return c.scheduleRange(key, 0, 0); });
+      })
+      .should.eventually.have.length(0).and.notify(done);
+    });
+
+    it("purges dead-lettered tasks by age", function(done) {
+      var task;
+
+      failTask()
+      .then(function(t) {
+        task = t;
+        return vars.factory.purgeDeadTasks("doomed", { olderThan : 60 });
+      })
+      .then(function(ids) {
+        expect(ids).to.have.length(0);
+        return vars.factory.purgeDeadTasks("doomed");
+      })
+      .then(function(ids) {
+        expect(ids).to.deep.equal([String(task.id)]);
+        return vars.factory.getTask(task.id);
+      })
+      .should.be.rejected.and.notify(done);
+    });
+
+  });
+
+
+  describe("#waitForTask", function() {
+
+    before(function() {
+      vars.factory.addProcedure("answer", function(task, done) {
+        setTimeout(function() { done(null, { answer : 42 }); }, 10);
+      }).andTeam(1);
+
+      vars.factory.addProcedure("broken", function(task, done) {
+        done(new Error("Broken"));
+      }).andTeam(1);
+    });
+
+    it("resolves with the task's result", function(done) {
+      vars.factory.quickEntry("answer", {})
+      .then(function(task) {
+        vars.answered = task;
+        return task.result();
+      })
+      .should.eventually.deep.equal({ answer : 42 }).and.notify(done);
+    });
+
+    it("stores the result with the task", function(done) {
+      vars.factory.getTaskStatus(vars.answered.id)
+      .then(function(metadata) {
+        expect(metadata.result).to.deep.equal({ answer : 42 });
+        return vars.factory.getTask(vars.answered.id);
+      })
+      .then(function(task) {
+        expect(task.toJSON().result).to.deep.equal({ answer : 42 });
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("resolves for a task that already ended", function(done) {
+      vars.factory.waitForTask(vars.answered.id)
+      .should.eventually.deep.equal({ answer : 42 }).and.notify(done);
+    });
+
+    it("rejects with the error of a failed task", function(done) {
+      vars.factory.quickEntry("broken", {})
+      .then(function(task) {
+        return vars.factory.waitForTask(task.id);
+      })
+      .then(function() {
+        throw new Error("Should have failed");
+      }, function(err) {
+        expect(err).to.be.an.instanceof(TaskCo.errors.TaskFailedError);
+        expect(err.message).to.equal("Error: Broken");
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("rejects after the timeout", function(done) {
+      vars.factory.quickEntry("unattended", {})
+      .then(function(task) {
+        return vars.factory.waitForTask(task.id, { timeout : 0.05 });
+      })
+      .then(function() {
+        throw new Error("Should have timed out");
+      }, function(err) {
+        expect(err).to.be.an.instanceof(TaskCo.errors.TimeoutError);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("keeps the listeners bound to a task it waited for", function(done) {
+      var listener, received = [];
+
+      vars.factory.quickEntry("unattended", {})
+      .then(function(task) {
+        listener = task;
+        return task.on('progress', function(progress) { received.push(progress); });
+      })
+      .then(function() {
+        return listener.result({ timeout : 0.05 }).otherwise(function() {});
+      })
+      .then(function() {
+        return vars.factory.getTask(listener.id);
+      })
+      .then(function(task) {
+        var deferred = when.defer();
+        task.broadcast('progress', 50);
+        setTimeout(deferred.resolve, 20);
+        return deferred.promise;
+      })
+      .then(function() {
+        expect(received).to.deep.equal([50]);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+
+  describe("unique tasks", function() {
+
+    it("rejects a duplicate uid with the existing id", function(done) {
+      vars.factory.quickEntry("report", { uid : "weekly", week : 1 })
+      .then(function(task) {
+        vars.weekly = task;
+        return vars.factory.quickEntry("report", { uid : "weekly", week : 2 });
+      })
+      .then(function() {
+        throw new Error("Should have been rejected");
+      }, function(err) {
+        expect(err).to.be.an.instanceof(TaskCo.errors.DuplicateTaskError);
+        expect(err.id).to.equal(String(vars.weekly.id));
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("returns the existing task", function(done) {
+      vars.factory.quickEntry("report", { uid : "weekly", week : 2 }, { unique : 'returnExisting' })
+      .then(function(task) {
+        expect(task.id).to.equal(String(vars.weekly.id));
+        expect(task.data.week).to.equal(1);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("merges data into a waiting task", function(done) {
+      vars.factory.quickEntry("report", { uid : "weekly", format : 'pdf' }, { unique : 'merge' })
+      .then(function(task) {
+        expect(task.id).to.equal(String(vars.weekly.id));
+        return vars.factory.getTask(task.id);
+      })
+      .then(function(task) {
+        expect(task.data).to.deep.equal({ uid : "weekly", week : 1, format : 'pdf' });
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("replaces the data of a waiting task", function(done) {
+      vars.factory.quickEntry("report", { uid : "weekly", week : 3 }, { unique : 'replace' })
+      .then(function(task) {
+        return vars.factory.getTask(task.id);
+      })
+      .then(function(task) {
+        expect(task.id).to.equal(String(vars.weekly.id));
+        expect(task.data).to.deep.equal({ uid : "weekly", week : 3 });
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("holds the uid of a completed task during its window", function(done) {
+      var options = { unique : 'returnExisting', uniqueWindow : 60 };
+
+      vars.factory.quickEntry("report", { uid : "daily" }, options)
+      .then(function(task) {
+        vars.daily = task;
+        return task.success();
+      })
+      .then(function() {
+        return vars.factory.quickEntry("report", { uid : "daily" }, options);
+      })
+      .then(function(task) {
+        expect(task.id).to.equal(String(vars.daily.id));
+        expect(task.info().state).to.equal('success');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("frees the uid of a completed task without a window", function(done) {
+      vars.factory.quickEntry("report", { uid : "hourly" }, { unique : 'returnExisting' })
+      .then(function(task) {
+        vars.hourly = task;
+        return task.success();
+      })
+      .then(function() {
+        return vars.factory.quickEntry("report", { uid : "hourly" }, { unique : 'returnExisting' });
+      })
+      .then(function(task) {
+        expect(task.id).to.not.equal(vars.hourly.id);
+        expect(task.info().state).to.equal('waiting');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+
+  describe("dependencies", function() {
+
+    var status = function(task) {
+      return vars.factory.getTaskStatus(task.id).then(function(metadata) { return metadata.state; });
+    };
+
+    it("blocks a task until its parents succeed", function(done) {
+      var parent, child;
+
+      vars.factory.quickEntry("gate", {})
+      .then(function(task) {
+        parent = task;
+        return vars.factory.quickEntry("answer", {}, { dependsOn : [parent.id] });
+      })
+      .then(function(task) {
+        child = task;
+        return status(child);
+      })
+      .then(function(state) {
+        expect(state).to.equal('blocked');
+        return parent.success();
+      })
+      .then(function() {
+        return child.result();
+      })
+      .should.eventually.deep.equal({ answer : 42 }).and.notify(done);
+    });
+
+    it("queues a task whose parents already succeeded", function(done) {
+      vars.factory.quickEntry("answer", {}, { dependsOn : [vars.answered.id] })
+      .then(function(task) {
+        return task.result();
+      })
+      .should.eventually.deep.equal({ answer : 42 }).and.notify(done);
+    });
+
+    it("rejects unknown dependencies", function(done) {
+      vars.factory.quickEntry("answer", {}, { dependsOn : [999999] })
+      .should.be.rejectedWith(/Dependency 999999 not found/).and.notify(done);
+    });
+
+    it("fails a task when a parent fails", function(done) {
+      vars.factory.quickEntry("broken", {})
+      .then(function(parent) {
+        return vars.factory.quickEntry("answer", {}, { dependsOn : [parent.id] });
+      })
+      .then(function(task) {
+        return task.result();
+      })
+      .should.be.rejectedWith(TaskCo.errors.TaskFailedError, /Dependency \d+ ended with state failure/).and.notify(done);
+    });
+
+    it("skips a task when a parent fails, per its policy", function(done) {
+      var child;
+
+      vars.factory.quickEntry("gate", {})
+      .then(function(parent) {
+        return vars.factory.quickEntry("answer", {}, { dependsOn : [parent.id], onParentFailure : 'skip' })
+        .then(function(task) {
+          child = task;
+          return parent.cancel();
+        });
+      })
+      .then(function() {
+        return child.result().otherwise(function() {});
+      })
+      .then(function() {
+        return status(child);
+      })
+      .should.eventually.equal('skipped').and.notify(done);
+    });
+
+  });
+
+
+  describe("#quickEntryMany", function() {
+
+    it("saves and queues many tasks", function(done) {
+      vars.factory.quickEntryMany("answer", [{ n : 1 }, { n : 2 }, { n : 3 }])
+      .then(function(res) {
+        expect(res.duplicates).to.be.empty;
+        expect(res.tasks).to.have.length(3);
+        expect(res.tasks[1].id).to.equal(res.tasks[0].id + 1);
+
+        return when.map(res.tasks, function(task) { return task.result(); });
+      })
+      .should.eventually.deep.equal([{ answer : 42 }, { answer : 42 }, { answer : 42 }]).and.notify(done);
+    });
+
+    it("schedules delayed tasks", function(done) {
+      vars.factory.quickEntryMany("answer", [{}], { delay : 60 })
+      .then(function(res) {
+        return vars.factory.getTaskStatus(res.tasks[0].id);
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('delayed');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("reports duplicate uids", function(done) {
+      var existing, saved;
+
+      vars.factory.quickEntry("gate", { uid : "bulk1" })
+      .then(function(task) {
+        existing = task;
+        return vars.factory.quickEntryMany("gate", [{ uid : "bulk1" }, { uid : "bulk2" }, { uid : "bulk2" }, {}]);
+      })
+      .then(function(res) {
+        saved = res.tasks[0];
+        expect(res.tasks).to.have.length(2);
+        expect(saved.uid).to.equal("bulk2");
+        expect(res.duplicates).to.deep.equal([
+          { index : 0, uid : "bulk1", id : String(existing.id) },
+          { index : 2, uid : "bulk2", id : saved.id }
+        ]);
+        return vars.factory.getTaskId("gate", "bulk2");
+      })
+      .then(function(id) {
+        expect(id).to.equal(String(saved.id));
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("returns the tasks holding uids with returnExisting", function(done) {
+      var existing;
+
+      vars.factory.quickEntry("gate", { uid : "bulk3" })
+      .then(function(task) {
+        existing = task;
+        return vars.factory.quickEntryMany("gate", [{ uid : "bulk3" }, { uid : "bulk4" }, { uid : "bulk4" }],
+                                           { unique : 'returnExisting' });
+      })
+      .then(function(res) {
+        expect(res.duplicates).to.be.empty;
+        expect(res.tasks).to.have.length(3);
+        expect(res.tasks[0].id).to.equal(String(existing.id));
+        expect(res.tasks[2]).to.equal(res.tasks[1]);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("replaces the data of pending tasks holding uids", function(done) {
+      var existing;
+
+      vars.factory.quickEntry("gate", { uid : "bulk5", a : 1 })
+      .then(function(task) {
+        existing = task;
+        return vars.factory.quickEntryMany("gate", [{ uid : "bulk5", b : 2 }, { uid : "bulk6", a : 1 }, { uid : "bulk6", b : 2 }],
+                                           { unique : 'replace' });
+      })
+      .then(function(res) {
+        expect(res.tasks).to.have.length(3);
+        expect(res.tasks[2]).to.equal(res.tasks[1]);
+        return when.map([existing.id, res.tasks[1].id], function(id) { return vars.factory.getTask(id); });
+      })
+      .then(function(tasks) {
+        expect(tasks[0].data).to.deep.equal({ uid : "bulk5", b : 2 });
+        expect(tasks[1].data).to.deep.equal({ uid : "bulk6", b : 2 });
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("merges data with the procedure's unique policy", function(done) {
+      var existing;
+
+      vars.factory.addProcedure("mergeable", function(task, done) { done(); }, { unique : 'merge' });
+
+      vars.factory.quickEntry("mergeable", { uid : "bulk7", a : 1 })
+      .then(function(task) {
+        existing = task;
+        return vars.factory.quickEntryMany("mergeable", [{ uid : "bulk7", b : 2 }, { uid : "bulk8", a : 1 }, { uid : "bulk8", b : 2 }]);
+      })
+      .then(function(res) {
+        expect(res.duplicates).to.be.empty;
+        return when.map([existing.id, res.tasks[1].id], function(id) { return vars.factory.getTask(id); });
+      })
+      .then(function(tasks) {
+        expect(tasks[0].data).to.deep.equal({ uid : "bulk7", a : 1, b : 2 });
+        expect(tasks[1].data).to.deep.equal({ uid : "bulk8", a : 1, b : 2 });
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+
+  describe("rate limits", function() {
+
+    it("defers jobs until the rate limit allows them", function(done) {
+      var starts = [];
+
+      vars.factory.addProcedure("limited", function(task, done) {
+        starts.push(Date.now());
+        done();
+      }, { rateLimit : { max : 2, per : 300 } }).andTeam(4);
+
+      vars.factory.quickEntryMany("limited", [{}, {}, {}, {}])
+      .then(function(res) {
+        return when.map(res.tasks, function(task) { return task.result(); });
+      })
+      .then(function() {
+        starts.sort();
+        expect(starts[1] - starts[0]).to.be.below(250);
+        expect(starts[2] - starts[0]).to.be.at.least(290);
+        expect(starts[3] - starts[1]).to.be.at.least(290);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+
+  describe("global concurrency", function() {
+
+    it("runs no more tasks at once than the limit", function(done) {
+      var running = 0, most = 0;
+
+      vars.factory.addProcedure("throttled", function(task, done) {
+        most = Math.max(most, ++running);
+        setTimeout(function() { --running; done(); }, 100);
+      }, { globalConcurrency : 2 }).andTeam(4);
+
+      vars.factory.quickEntryMany("throttled", [{}, {}, {}, {}, {}])
+      .then(function(res) {
+        return when.map(res.tasks, function(task) { return task.result(); });
+      })
+      .then(function() {
+        expect(most).to.equal(2);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+
+  describe("priority aging", function() {
+
+    it("reports the effective priority of waiting tasks", function(done) {
+      vars.factory.addProcedure("aged", function(task, done) { done(); }, { aging : 0.01 });
+
+      vars.factory.quickEntry("aged", {}, { priority : 'low' })
+      .then(function(task) {
+        var deferred = when.defer();
+        setTimeout(function() { deferred.resolve(vars.factory.getTaskStatus(task.id)); }, 150);
+        return deferred.promise;
+      })
+      .then(function(metadata) {
+        expect(metadata.priority).to.equal(-10);
+        expect(metadata.effectivePriority).to.be.above(0);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("ages tasks queued by processes without the procedure", function(done) {
+      var producer = new Factory(vars.factory.name, cxnSettings),
+          waitKey = vars.factory.prefix + 'tasks:agedElsewhere:waiting',
+          low;
+
+      vars.factory.addProcedure("agedElsewhere", function(task, done) { done(); }, { aging : 0.01 });
+
+      vars.factory.quickEntry("agedElsewhere", {}, { priority : 'low' })
+      .then(function(task) {
+        low = task;
+
+        var deferred = when.defer();
+        setTimeout(deferred.resolve, 150);
+        return deferred.promise;
+      })
+      .then(function() {
+        return producer.quickEntry("agedElsewhere", {}, { priority : 'medium' });
+      })
+      .then(function() {
+        return producer.getTaskStatus(low.id);
+      })
+      .then(function(metadata) {
+        expect(metadata.effectivePriority).to.be.above(0);
+        return vars.factory.execute(function(c) { return c.sortedPop(waitKey); });
+      })
+      .then(function(id) {
+        expect(id).to.equal(String(low.id));
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+
+  describe("#pauseType", function() {
+
+    it("stops delegating tasks of a paused type", function(done) {
+      var ran = false;
+
+      vars.factory.addProcedure("pausable", function(task, done) {
+        ran = true;
+        done();
+      }).andTeam();
+
+      vars.factory.pauseType("pausable")
+      .then(function() {
+        return vars.factory.quickEntry("pausable", {});
+      })
+      .then(function(task) {
+        vars.paused = task;
+
+        var deferred = when.defer();
+        setTimeout(function() { deferred.resolve(vars.factory.getQueueStatus("pausable")); }, 200);
+        return deferred.promise;
+      })
+      .then(function(status) {
+        expect(ran).to.be.false;
+        expect(status.paused).to.be.true;
+        expect(status.waiting).to.equal(1);
+        expect(status.active).to.equal(0);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("resumes delegating tasks once resumed", function(done) {
+      vars.factory.resumeType("pausable")
+      .then(function() {
+        return vars.paused.result();
+      })
+      .then(function() {
+        return vars.factory.getQueueStatus("pausable");
+      })
+      .then(function(status) {
+        expect(status.paused).to.be.false;
+        expect(status.waiting).to.equal(0);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("gives back reserved slots of tasks queued again", function(done) {
+      // A factory of its own, as teams hold connections
+      var factory = new Factory("pausing", cxnSettings),
+          rateKey = factory.prefix + 'tasks:pausableLimited:rate',
+          wait = function(ms) {
+            var deferred = when.defer();
+            setTimeout(deferred.resolve, ms);
+            return deferred.promise;
+          };
+
+      factory.addProcedure("pausableLimited", function(task, done) { done(); },
+                           { globalConcurrency : 1, rateLimit : { max : 5, per : 60000 } }).andTeam();
+
+      // The dispatcher is waiting for a job when the type is paused
+      wait(50)
+      .then(function() {
+        return factory.pauseType("pausableLimited");
+      })
+      .then(function() {
+        return factory.quickEntry("pausableLimited", {});
+      })
+      .then(function() {
+        return wait(100);
+      })
+      .then(function() {
+        return factory.getQueueStatus("pausableLimited");
+      })
+      .then(function(status) {
+        expect(status.waiting).to.equal(1);
+        expect(status.active).to.equal(0);
+        return factory.execute(function(c) { return c.sortedCount(rateKey); });
+      })
+      .then(function(count) {
+        expect(count).to.equal(0);
+        return factory.resumeType("pausableLimited");
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+
+  describe("#on", function() {
+
+    it("receives task events from other factories", function(done) {
+      var observer = new Factory(vars.factory.name, cxnSettings),
+          events = { success : [], any : [], failure : [] };
+
+      observer.on('announced:success', function(message) { events.success.push(message); })
+              .on('task:*', function(message) { events.any.push(message.event); })
+              .on('*:failure', function(message) { events.failure.push(message); });
+
+      vars.factory.addProcedure("announced", function(task, done) {
+        done(task.data.fail ? new Error("Failed") : null);
+      }).andTeam();
+
+      observer.dispatcher.listen()
+      .then(function() {
+        return vars.factory.quickEntry("announced", {});
+      })
+      .then(function(task) {
+        vars.announced = task;
+        return task.result();
+      })
+      .then(function() {
+        return vars.factory.quickEntry("announced", { fail : true }, { maxAttempts : 1 });
+      })
+      .then(function(task) {
+        return task.result().otherwise(function() {});
+      })
+      .then(function() {
+        var deferred = when.defer();
+        setTimeout(deferred.resolve, 20);
+        return deferred.promise;
+      })
+      .then(function() {
+        expect(events.success).to.have.length(1);
+        expect(events.success[0].id).to.equal(String(vars.announced.id));
+        expect(events.success[0].type).to.equal('announced');
+        expect(events.success[0].metadata.state).to.equal('success');
+        expect(events.failure).to.have.length(1);
+        expect(events.failure[0].metadata.error).to.equal("Error: Failed");
+        expect(events.any).to.deep.equal(['saved', 'waiting', 'active', 'success', 'saved', 'waiting', 'active', 'failure']);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("receives newly saved tasks from other factories", function(done) {
+      var observer = new Factory(vars.factory.name, cxnSettings),
+          events = [],
+          received = when.defer();
+
+      observer.on('unannounced:*', function(message) {
+        events.push(message);
+        if (4 == events.length) received.resolve();
+      });
+
+      observer.dispatcher.listen()
+      .then(function() {
+        return vars.factory.quickEntry("unannounced", {});
+      })
+      .then(function(task) {
+        vars.unannounced = task;
+        return vars.factory.quickEntryMany("unannounced", [{}], { delay : 60 });
+      })
+      .then(function() {
+        return received.promise;
+      })
+      .then(function() {
+        expect(events.map(function(message) { return message.event; })).to.deep.equal(['saved', 'waiting', 'saved', 'delayed']);
+        expect(events[0].id).to.equal(vars.unannounced.id);
+        expect(events[0].metadata.state).to.equal('waiting');
+        expect(events[3].metadata.runAt).to.be.above(Date.now());
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+
+  describe("#sweepExpiredTasks", function() {
+
+    it("expires waiting tasks past their deadline", function(done) {
+      var waitKey = vars.factory.prefix + 'tasks:perishable:waiting',
+          id;
+
+      vars.factory.quickEntry("perishable", {}, { expiresIn : 0.05 })
+      .then(function(task) {
+        id = task.id;
+        expect(task.info().expiresAt).to.equal(task.info().created + 50);
+        var deferred = when.defer();
+        setTimeout(deferred.resolve, 60);
+        return deferred.promise;
+      })
+      .then(function() {
+        return vars.factory.sweepExpiredTasks("perishable");
+      })
+      .then(function(ids) {
+        expect(ids).to.deep.equal([String(id)]);
+        return vars.factory.getTaskStatus(id);
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('expired');
+        return vars.factory.execute(function(c) { return c.sortedPop(waitKey); });
+      })
+      .then(function(popped) {
+        expect(popped).to.not.exist;
+        return vars.factory.waitForTask(id);
+      })
+      .should.be.rejectedWith(/expired/).and.notify(done);
+    });
+
+    it("skips expired tasks when dispatching", function(done) {
+      var ran = false;
+
+      vars.factory.addProcedure("stale", function(task, done) {
+        ran = true;
+        done();
+      }).andTeam();
+
+      vars.factory.quickEntry("stale", {}, { expiresIn : 0 })
+      .then(function(task) {
+        return task.result();
+      })
+      .then(function() {
+        return when.reject(new Error("Expired task ran"));
+      }, function(err) {
+        expect(err.message).to.match(/expired/);
+        expect(ran).to.be.false;
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("retries tasks that started before their deadline", function(done) {
+      var factory = new Factory("retried", cxnSettings),
+          runs = 0;
+
+      factory.addProcedure("hasty", function(task, done) {
+        if (++runs > 1) return done();
+        setTimeout(function() { done(new Error("Too slow")); }, 60);
+      }, { maxAttempts : 2 }).andTeam();
+
+      factory.quickEntry("hasty", {}, { expiresIn : 0.05 })
+      .then(function(task) {
+        return task.result();
+      })
+      .then(function() {
+        expect(runs).to.equal(2);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+
+  describe("#createFlow", function() {
+
+    it("rejects cycles", function(done) {
+      vars.factory.createFlow({
+        a : { type : 'answer', dependsOn : ['b'] },
+        b : { type : 'answer', dependsOn : ['a'] }
+      })
+      .should.be.rejectedWith(/cycle: a -> b -> a/).and.notify(done);
+    });
+
+    it("rejects unknown nodes", function(done) {
+      vars.factory.createFlow({ a : { type : 'answer', dependsOn : ['z'] } })
+      .should.be.rejectedWith(/unknown node z/).and.notify(done);
+    });
+
+    it("runs a graph of tasks", function(done) {
+      var flow;
+
+      vars.factory.createFlow({
+        last   : { type : 'answer', dependsOn : ['first', 'second'] },
+        second : { type : 'answer', dependsOn : ['first'] },
+        first  : { type : 'answer' }
+      })
+      .then(function(f) {
+        flow = f;
+        return vars.factory.waitForTask(flow.tasks.last);
+      })
+      .then(function() {
+        return vars.factory.getFlow(flow.id);
+      })
+      .then(function(flow) {
+        return flow.status();
+      })
+      .then(function(status) {
+        expect(status.state).to.equal('success');
+        expect(status.tasks).to.deep.equal({ first : 'success', second : 'success', last : 'success' });
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("reports failed flows", function(done) {
+      var flow;
+
+      vars.factory.createFlow({
+        first  : { type : 'broken' },
+        second : { type : 'answer', dependsOn : ['first'] }
+      })
+      .then(function(f) {
+        flow = f;
+        return vars.factory.waitForTask(flow.tasks.second).otherwise(function() {});
+      })
+      .then(function() {
+        return flow.status();
+      })
+      .then(function(status) {
+        expect(status.state).to.equal('failure');
+        expect(status.tasks).to.deep.equal({ first : 'failure', second : 'failure' });
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("rolls back flows whose tasks fail to save", function(done) {
+      vars.factory.createFlow({
+        first  : { type : 'unattended' },
+        second : { type : 'validated', data : { to : 5 }, dependsOn : ['first'] }
+      })
+      .then(function() {
+        throw new Error("Should have been rejected");
+      }, function(err) {
+        expect(err).to.be.an.instanceof(TaskCo.errors.ValidationError);
+        return when.all([vars.factory.getNextId('task'), vars.factory.getNextId('flow')]);
+      })
+      .then(function(ids) {
+        return when.all([
+          vars.factory.getTask(ids[0] - 2).then(function() { return 'found'; }, function() { return 'removed'; }),
+          vars.factory.getFlow(ids[1] - 1).then(function() { return 'found'; }, function() { return 'removed'; })
+        ]);
+      })
+      .should.eventually.deep.equal(['removed', 'removed']).and.notify(done);
+    });
+
+  });
+
+
   describe("#addTeam", function() {
 
   });
@@ -0,0 +1,206 @@
+"use strict";
+
+// ### Middleware test suite
+
+
+var when = require('when'),
+    Middleware = require('../lib/middleware.js'),
+    errors = require('../lib/errors.js'),
+    vars = {};
+
+describe("Middleware Module", function() {
+
+  before(function(done) {
+    vars.factory = new Factory("middleware", cxnSettings);
+    flushStore(done);
+  });
+
+
+  describe("#normalize", function() {
+
+    it("converts functions to around hooks", function() {
+      var fn = function(task, next) { return next(); };
+      expect(Middleware.normalize(fn).around).to.equal(fn);
+    });
+
+    it("pukes on unknown hooks", function() {
+      var badFxn = function() { return Middleware.normalize({ beforeWork : function() {} }); };
+      expect(badFxn).to.throw(/Unknown middleware hook beforeWork/);
+    });
+
+  });
+
+
+  describe("#run", function() {
+
+    it("runs hooks around work in order", function(done) {
+      var calls = [],
+          stack = [
+            {
+              before : function() { calls.push('outer before'); },
+              around : function(task, next) {
+                calls.push('outer around');
+                return next().then(function(result) { return result + 1; });
+              },
+              after  : function(task, result) { calls.push('outer after ' + result); }
+            },
+            {
+              before : function() { calls.push('inner before'); },
+              after  : function(task, result) { calls.push('inner after ' + result); }
+            }
+          ];
+
+      Middleware.run(stack, {}, function() {
+        calls.push('work');
+        return when.resolve(41);
+      })
+      .then(function(result) {
+        expect(result).to.equal(42);
+        expect(calls).to.deep.equal([
+          'outer before', 'inner before', 'outer around', 'work', 'inner after 42', 'outer after 42'
+        ]);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("does not run work when a before hook rejects", function(done) {
+      var ran = false,
+          stack = [{ before : function() { return when.reject(new Error("Not now")); } }];
+
+      Middleware.run(stack, {}, function() { ran = true; })
+      .otherwise(function(err) {
+        expect(ran).to.be.false;
+        return err;
+      })
+      .should.eventually.have.property('message', "Not now").and.notify(done);
+    });
+
+  });
+
+
+  describe("execution hooks", function() {
+
+    it("wraps work with factory and procedure middleware", function(done) {
+      var calls = [];
+
+      vars.factory.use({
+        before : function(task) { calls.push('factory before ' + task.type); }
+      });
+
+      vars.factory.addProcedure("wrapped", function(task, done) {
+        calls.push('work');
+        done(null, 1);
+      })
+      .use(function(task, next) {
+        calls.push('procedure around');
+        return next().then(function(result) { return result * 2; });
+      })
+      .andTeam();
+
+      vars.factory.quickEntry("wrapped", {})
+      .then(function(task) {
+        return task.result();
+      })
+      .then(function(result) {
+        expect(result).to.equal(2);
+        expect(calls).to.deep.equal(['factory before wrapped', 'procedure around', 'work']);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("runs onError hooks when work fails", function(done) {
+      var reported = null;
+
+      vars.factory.addProcedure("faulty", function(task, done) {
+        done(new Error("Broken"));
+      })
+      .use({ onError : function(task, err) { reported = err; } })
+      .andTeam();
+
+      vars.factory.quickEntry("faulty", {})
+      .then(function(task) {
+        return task.result();
+      })
+      .then(function() {
+        throw new Error("Should have failed");
+      }, function(err) {
+        expect(err).to.be.an.instanceof(errors.TaskFailedError);
+        expect(reported.message).to.equal("Broken");
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+
+  describe("save hooks", function() {
+
+    before(function() {
+      vars.saved = [];
+
+      vars.factory.addProcedure("guarded", function(task, done) { done(); })
+      .use({
+        beforeSave : function(task) {
+          if (task.data.spam) return false;
+          task.data.checked = true;
+          task.metadata.priority = 10;
+        },
+        afterSave  : function(task) { vars.saved.push(task.id); }
+      });
+    });
+
+    it("changes tasks before they are saved", function(done) {
+      vars.factory.quickEntry("guarded", {})
+      .then(function(task) {
+        expect(vars.saved).to.deep.equal([task.id]);
+        return vars.factory.getTask(task.id);
+      })
+      .then(function(task) {
+        expect(task.data.checked).to.be.true;
+        expect(task.info().priority).to.equal(10);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("rejects vetoed tasks", function(done) {
+      vars.factory.quickEntry("guarded", { spam : true })
+      .should.be.rejectedWith(errors.VetoedError).and.notify(done);
+    });
+
+    it("reports vetoed tasks of a batch", function(done) {
+      vars.factory.quickEntryMany("guarded", [{}, { spam : true }])
+      .then(function(res) {
+        expect(res.tasks).to.have.length(1);
+        expect(res.tasks[0].data.checked).to.be.true;
+        expect(res.vetoed).to.have.length(1);
+        expect(res.vetoed[0].index).to.equal(1);
+        expect(res.vetoed[0].error).to.be.an.instanceof(errors.VetoedError);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("applies options changed by hooks", function(done) {
+      vars.factory.addProcedure("postponed", function(task, done) { done(); })
+      .use({
+        beforeSave : function(task) {
+          task.metadata.priority = 'high';
+          task.metadata.delay = 60;
+        }
+      });
+
+      vars.factory.quickEntry("postponed", {})
+      .then(function(task) {
+        return vars.factory.getTask(task.id);
+      })
+      .then(function(task) {
+        var metadata = task.info();
+        expect(metadata.priority).to.equal(10);
+        expect(metadata.state).to.equal('delayed');
+        expect(metadata.runAt).to.equal(metadata.created + 60000);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+});
@@ -8,14 +8,14 @@ var vars = {}
 describe("Procedure Module", function() {
 
   before(function(done) {
-    flushRedis(done);
+    flushStore(done);
   });
 
 
   describe("#constructor", function() {
 
     it("creates a procedure", function() {
-      vars.factory = new Factory("custom");
+      vars.factory = new Factory("custom", cxnSettings);
       var name = "email",
           template = {
             work: function (task, done) {
@@ -80,6 +80,19 @@ describe("Procedure Module", function() {
       }
     });
 
+    it("keeps the schema apart from handlers", function() {
+      var schema = { type : 'object', required : ['to'] },
+          procedure = new Procedure(vars.factory, "email", { work : function() {}, schema : schema });
+
+      expect(procedure.schema).to.equal(schema);
+      expect(procedure.handlers.schema).to.not.exist;
+    });
+
+    it("pukes on an invalid schema", function() {
+      badFxn = function() { new Procedure(vars.factory, "email", { work : function() {}, schema : { type : 'text' } }); };
+      expect(badFxn).to.throw(/Unknown schema type text/);
+    });
+
   });
 
 
@@ -0,0 +1,179 @@
+"use strict";
+
+// ### Scheduler test suite
+
+
+var when = require('when'),
+    vars = {};
+
+describe("Scheduler Module", function() {
+
+  before(function(done) {
+    vars.factory = new Factory("schedules", cxnSettings);
+    vars.other = new Factory("schedules", cxnSettings);
+    flushStore(done);
+  });
+
+  after(function() {
+    vars.factory.scheduler.stop();
+  });
+
+
+  // Moves a schedule's next tick, as if the processes had been down.
+  var setNext = function(name, time) {
+    return vars.factory.execute(function(c) {
+      return c.scheduleAdd(vars.factory.scheduler.nextKey, [time, name]);
+    });
+  };
+
+
+  describe("#add", function() {
+
+    it("requires a cron expression or an interval", function(done) {
+      vars.factory.addSchedule("nothing", "report", {}, {})
+      .should.be.rejectedWith(/requires a cron expression/).and.notify(done);
+    });
+
+    it("rejects invalid cron expressions", function(done) {
+      vars.factory.addSchedule("invalid", "report", {}, { cron : '* * *' })
+      .should.be.rejectedWith(/Invalid cron expression/).and.notify(done);
+    });
+
+    it("stores the schedule", function(done) {
+      vars.factory.addSchedule("annual", "report", { kind : 'summary' }, { cron : '0 0 1 1 *', priority : 2 })
+      .then(function() {
+        return vars.factory.getSchedules();
+      })
+      .then(function(schedules) {
+        expect(schedules.annual.type).to.equal('report');
+        expect(schedules.annual.cron).to.equal('0 0 1 1 *');
+        expect(schedules.annual.options).to.deep.equal({ priority : 2 });
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+
+  describe("#tick", function() {
+
+    it("enqueues each tick once across processes", function(done) {
+      vars.factory.addSchedule("often", "report", {}, { every : 60000 })
+      .then(function(schedule) {
+        return setNext("often", schedule.created);
+      })
+      .then(function() {
+        return when.all([vars.factory.scheduler.tick(), vars.other.scheduler.tick()]);
+      })
+      .then(function(results) {
+        var tasks = results[0].concat(results[1]);
+        expect(tasks).to.have.length(1);
+        expect(tasks[0].metadata.schedule).to.equal('often');
+        return vars.factory.scheduler.tick();
+      })
+      .should.eventually.have.length(0).and.notify(done);
+    });
+
+    it("enqueues a single task for missed ticks by default", function(done) {
+      vars.factory.addSchedule("once", "report", {}, { every : 60000 })
+      .then(function(schedule) {
+        return setNext("once", schedule.created - 300000);
+      })
+      .then(function() {
+        return vars.factory.scheduler.tick();
+      })
+      .should.eventually.have.length(1).and.notify(done);
+    });
+
+    it("catches up on missed ticks", function(done) {
+      var created;
+
+      vars.factory.addSchedule("catchUp", "report", {}, { every : 60000, missed : 'catchUp' })
+      .then(function(schedule) {
+        created = schedule.created;
+        return setNext("catchUp", created - 300000);
+      })
+      .then(function() {
+        return vars.factory.scheduler.tick();
+      })
+      .then(function(tasks) {
+        expect(tasks).to.have.length(6);
+        expect(tasks[0].metadata.scheduledAt).to.equal(created - 300000);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("skips ticks later than the grace period", function(done) {
+      vars.factory.addSchedule("yearly", "report", {}, { cron : '0 0 1 1 *', missed : 'skip' })
+      .then(function() {
+        return setNext("yearly", Date.now() - 10 * 24 * 3600 * 1000);
+      })
+      .then(function() {
+        return vars.factory.scheduler.tick();
+      })
+      .then(function(tasks) {
+        expect(tasks).to.have.length(0);
+        return vars.factory.execute(function(c) {
+          return c.scheduleDue(vars.factory.scheduler.nextKey, Date.now());
+        });
+      })
+      .should.eventually.deep.equal([]).and.notify(done);
+    });
+
+    it("keeps the missed ticks of schedules added again", function(done) {
+      var created;
+
+      vars.factory.addSchedule("restarted", "report", {}, { every : 60000 })
+      .then(function(schedule) {
+        created = schedule.created;
+        return setNext("restarted", created - 300000);
+      })
+      .then(function() {
+        return vars.other.addSchedule("restarted", "report", {}, { every : 60000 });
+      })
+      .then(function(schedule) {
+        expect(schedule.created).to.equal(created);
+        return vars.factory.scheduler.tick();
+      })
+      .then(function(tasks) {
+        expect(tasks).to.have.length(1);
+        expect(tasks[0].metadata.scheduledAt).to.equal(created);
+        return vars.factory.removeSchedule("restarted");
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("finds the latest tick missed during a long outage", function(done) {
+      var created;
+
+      vars.factory.addSchedule("frequent", "report", {}, { every : 10 })
+      .then(function(schedule) {
+        created = schedule.created;
+        return setNext("frequent", created - 30 * 24 * 3600 * 1000);
+      })
+      .then(function() {
+        return vars.factory.scheduler.tick();
+      })
+      .then(function(tasks) {
+        expect(tasks).to.have.length(1);
+        expect((tasks[0].metadata.scheduledAt - created) % 10).to.equal(0);
+        expect(tasks[0].metadata.scheduledAt).to.be.within(Date.now() - 1000, Date.now());
+        return vars.factory.removeSchedule("frequent");
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("stops removed schedules", function(done) {
+      vars.factory.removeSchedule("annual")
+      .then(function() {
+        return vars.factory.getSchedules();
+      })
+      .then(function(schedules) {
+        expect(schedules.annual).to.not.exist;
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+});
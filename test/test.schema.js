@@ -0,0 +1,81 @@
+"use strict";
+
+// ### Schema test suite
+
+
+var Schema = require('../lib/schema.js'),
+    errors = require('../lib/errors.js');
+
+describe("Schema Module", function() {
+
+  describe("#normalize", function() {
+
+    it("accepts nested schemas", function() {
+      var schema = { type : 'object', properties : { to : { type : ['string', 'null'] } } };
+      expect(Schema.normalize(schema)).to.equal(schema);
+    });
+
+    it("pukes on unknown keywords", function() {
+      var badFxn = function() { return Schema.normalize({ properties : { to : { format : 'email' } } }); };
+      expect(badFxn).to.throw(/Unknown schema keyword format in schema.properties.to/);
+    });
+
+  });
+
+
+  describe("#validate", function() {
+
+    var schema = {
+      type       : 'object',
+      required   : ['to', 'tags'],
+      properties : {
+        to       : { type : 'string', pattern : '@' },
+        priority : { enum : ['low', 'high'] },
+        retries  : { type : 'integer', minimum : 0, maximum : 5 },
+        tags     : { type : 'array', maxItems : 2, items : { type : 'string', minLength : 1 } }
+      },
+      additionalProperties : false
+    };
+
+    it("accepts valid data", function() {
+      var data = { to : 'a@b.c', priority : 'low', retries : 2, tags : ['x'] };
+      expect(Schema.validate(schema, data)).to.deep.equal([]);
+    });
+
+    it("lists every problem with its path", function() {
+      var data = { to : 'nobody', priority : 'urgent', retries : 1.5, tags : ['', 3, 'y'], cc : 'me' };
+
+      expect(Schema.validate(schema, data)).to.deep.equal([
+        { path : 'data.to',       message : "must match @" },
+        { path : 'data.priority', message : 'must be one of ["low","high"]' },
+        { path : 'data.retries',  message : "must be of type integer" },
+        { path : 'data.tags',     message : "must have at most 2 items" },
+        { path : 'data.tags[0]',  message : "must have at least 1 characters" },
+        { path : 'data.tags[1]',  message : "must be of type string" },
+        { path : 'data.cc',       message : "is not allowed" }
+      ]);
+    });
+
+    it("reports missing required properties", function() {
+      expect(Schema.validate(schema, { to : 'a@b.c' })).to.deep.equal([{ path : 'data.tags', message : "is required" }]);
+    });
+
+  });
+
+
+  describe("#check", function() {
+
+    it("throws a ValidationError listing the problems", function() {
+      var procedure = { schema : { type : 'object', required : ['to'] } },
+          badFxn = function() { Schema.check(procedure, 'email', {}); };
+
+      expect(badFxn).to.throw(errors.ValidationError, "Invalid data for email: data.to is required");
+    });
+
+    it("ignores procedures without a schema", function() {
+      expect(Schema.check(undefined, 'email', 5)).to.not.exist;
+    });
+
+  });
+
+});
@@ -0,0 +1,370 @@
+"use strict";
+
+// ### Task test suite
+
+
+var _    = require('lodash-node'),
+    when = require('when'),
+    vars = {};
+
+describe("Task Module", function() {
+
+  before(function(done) {
+    vars.factory = new Factory("tasks", cxnSettings);
+    flushStore(done);
+  });
+
+
+  // Saves and activates a task so that it can fail.
+  var activeTask = function(type, options) {
+    var task;
+
+    return vars.factory.createTask(type, {}, options)
+    .then(function(t) {
+      task = t;
+      return task.save();
+    })
+    .then(function() {
+      return task.activate();
+    })
+    .then(function() {
+      return task;
+    });
+  };
+
+
+  describe("#log", function() {
+
+    it("stores log entries with the task", function(done) {
+      activeTask("chatty")
+      .then(function(task) {
+        vars.chatty = task;
+        return task.log('info', "Starting", { step : 1 });
+      })
+      .then(function() {
+        return vars.chatty.log('warn', "Slow");
+      })
+      .then(function() {
+        return vars.factory.getTaskLogs(vars.chatty.id);
+      })
+      .then(function(entries) {
+        expect(entries).to.have.length(2);
+        expect(entries[0].level).to.equal('info');
+        expect(entries[0].message).to.equal("Starting");
+        expect(entries[0].attempt).to.equal(1);
+        expect(entries[0].fields).to.deep.equal({ step : 1 });
+        expect(entries[1].fields).to.not.exist;
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("pages through log entries", function(done) {
+      vars.factory.getTaskLogs(vars.chatty.id, { offset : 1, limit : 1 })
+      .then(function(entries) {
+        expect(_.pluck(entries, 'message')).to.deep.equal(["Slow"]);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("keeps the latest entries", function(done) {
+      var task;
+
+      activeTask("chatty", { maxLogs : 2 })
+      .then(function(t) {
+        task = t;
+        return when.map([1, 2, 3], function(i) { return task.log('debug', "Line " + i); });
+      })
+      .then(function() {
+        return vars.factory.getTaskLogs(task.id);
+      })
+      .then(function(entries) {
+        expect(_.pluck(entries, 'message')).to.deep.equal(["Line 2", "Line 3"]);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("emits log events", function(done) {
+      activeTask("chatty")
+      .then(function(task) {
+        task.bindLocal('log', function(entry) {
+          expect(entry.message).to.equal("Hello");
+          done();
+        });
+        task.log('info', "Hello");
+      });
+    });
+
+    it("logs failures with their stack", function(done) {
+      activeTask("chatty", { maxAttempts : 2 })
+      .then(function(task) {
+        return task.failure(new Error("Oops")).then(function() {
+          return vars.factory.getTaskLogs(task.id);
+        });
+      })
+      .then(function(entries) {
+        expect(entries[0].level).to.equal('error');
+        expect(entries[0].message).to.equal("Error: Oops");
+        expect(entries[0].fields.stack).to.contain("Oops");
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+
+  describe("#on", function() {
+
+    it("records broadcast events in the task's history", function(done) {
+      activeTask("eventful")
+      .then(function(task) {
+        vars.eventful = task;
+        return task.broadcast('progress', 50);
+      })
+      .then(function() {
+        return vars.factory.getTaskEvents(vars.eventful.id);
+      })
+      .then(function(events) {
+        expect(events).to.have.length(1);
+        expect(events[0].seq).to.equal(1);
+        expect(events[0].event).to.equal('progress');
+        expect(events[0].args).to.deep.equal([50]);
+
+        return vars.factory.execute(function(c) { return c.hashGetAll(vars.eventful.key); });
+      })
+      .then(function(hash) {
+        expect(hash.events).to.not.exist;
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("replays recorded events, then live events", function(done) {
+      var received = [];
+
+      vars.factory.getTask(vars.eventful.id)
+      .then(function(task) {
+        vars.listener = task;
+        return task.on('progress', { replay : true }, function(progress) { received.push(progress); });
+      })
+      .then(function() {
+        expect(received).to.deep.equal([50]);
+
+        var deferred = when.defer();
+        vars.listener.once('progress', function() { deferred.resolve(); });
+        vars.eventful.broadcast('progress', 75);
+        return deferred.promise;
+      })
+      .then(function() {
+        expect(received).to.deep.equal([50, 75]);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("skips live events that were replayed", function(done) {
+      var received = [];
+
+      vars.listener.on('progress', { replay : true }, function(progress) { received.push(progress); })
+      .then(function() {
+        expect(received).to.deep.equal([50, 75]);
+
+        vars.listener.eventSeq = 2;
+        vars.listener.emit('progress', 75);
+        delete vars.listener.eventSeq;
+
+        expect(received).to.deep.equal([50, 75]);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("keeps the latest events", function(done) {
+      var task;
+
+      activeTask("eventful", { maxEvents : 2 })
+      .then(function(t) {
+        task = t;
+        return when.map([1, 2, 3], function(i) { return task.broadcast('step', i); });
+      })
+      .then(function() {
+        return vars.factory.getTaskEvents(task.id);
+      })
+      .then(function(events) {
+        expect(_.pluck(events, 'seq')).to.deep.equal([2, 3]);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("leaves out local progress and log events unless asked", function(done) {
+      var quiet, recorded;
+
+      when.all([activeTask("eventful"), activeTask("eventful", { recordEvents : ['progress'] })])
+      .then(function(tasks) {
+        quiet = tasks[0], recorded = tasks[1];
+
+        return when.all(_.map(tasks, function(task) {
+          return when.all([task.announce('progress', 10), task.announce('timeout')]);
+        }));
+      })
+      .then(function() {
+        return when.all([vars.factory.getTaskEvents(quiet.id), vars.factory.getTaskEvents(recorded.id)]);
+      })
+      .then(function(histories) {
+        expect(_.pluck(histories[0], 'event')).to.deep.equal(['timeout']);
+        expect(_.pluck(histories[1], 'event')).to.deep.equal(['progress', 'timeout']);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("does not record events of removed tasks", function(done) {
+      var task;
+
+      activeTask("eventful")
+      .then(function(t) {
+        task = t;
+        return task.remove();
+      })
+      .then(function() {
+        return task.announce('timeout');
+      })
+      .then(function() {
+        return vars.factory.execute(function(c) {
+          return when.all([c.hashGetAll(task.key), c.hashGetAll(task.key + ':seq'), c.listRange(task.key + ':events', 0, -1)]);
+        });
+      })
+      .then(function(stored) {
+        expect(stored[0]).to.not.exist;
+        expect(stored[1]).to.not.exist;
+        expect(stored[2]).to.be.empty;
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+
+  describe("#failure", function() {
+
+    it("requeues immediately without backoff", function(done) {
+      activeTask("flaky", { maxAttempts : 2 })
+      .then(function(task) {
+        return task.failure(new Error("Oops")).then(function() {
+          return vars.factory.getTaskStatus(task.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('waiting');
+        expect(metadata.retryAt).to.not.exist;
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("delays the retry with a fixed backoff", function(done) {
+      var before = Date.now();
+
+      activeTask("flaky", { maxAttempts : 2, backoff : 10 })
+      .then(function(task) {
+        return task.failure(new Error("Oops")).then(function() {
+          return vars.factory.getTaskStatus(task.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('delayed');
+        expect(metadata.retryAt).to.be.within(before + 10000, Date.now() + 10000);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("doubles an exponential backoff on each attempt", function(done) {
+      var before = Date.now();
+
+      activeTask("flaky", { maxAttempts : 3, backoff : { type : 'exponential', delay : 5 } })
+      .then(function(task) {
+        return task.activate().then(function() {
+          return task.failure(new Error("Oops"));
+        })
+        .then(function() {
+          return vars.factory.getTaskStatus(task.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.attempts).to.equal(2);
+        expect(metadata.retryAt).to.be.within(before + 10000, Date.now() + 10000);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("caps and jitters the backoff", function(done) {
+      var before = Date.now();
+
+      activeTask("flaky", { maxAttempts : 2, backoff : { type : 'linear', delay : 60, max : 20, jitter : true } })
+      .then(function(task) {
+        return task.failure(new Error("Oops")).then(function() {
+          return vars.factory.getTaskStatus(task.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.retryAt).to.be.within(before, Date.now() + 20000);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("uses a custom backoff function of the procedure", function(done) {
+      var before = Date.now(),
+          backoff = function(attempts, err) {
+            expect(attempts).to.equal(1);
+            expect(err.message).to.equal("Oops");
+            return 30;
+          };
+
+      vars.factory.addProcedure("patient", function(task, done) { done(); }, { maxAttempts : 2, backoff : backoff });
+
+      activeTask("patient")
+      .then(function(task) {
+        return vars.factory.getTask(task.id);
+      })
+      .then(function(task) {
+        return task.failure(new Error("Oops")).then(function() {
+          return vars.factory.getTaskStatus(task.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.retryAt).to.be.within(before + 30000, Date.now() + 30000);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("retries even if the error can't be logged", function(done) {
+      activeTask("flaky", { maxAttempts : 2 })
+      .then(function(task) {
+        task.log = function() { return when.reject(new Error("Unavailable")); };
+
+        return task.failure(new Error("Oops")).then(function() {
+          return vars.factory.getTaskStatus(task.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('waiting');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("rejects backoff functions in task options", function(done) {
+      vars.factory.createTask("flaky", {}, { backoff : function() { return 30; } })
+      .should.be.rejectedWith(/backoff functions can only be set on the procedure/).and.notify(done);
+    });
+
+    it("fails without attempts left", function(done) {
+      activeTask("flaky", { backoff : 10 })
+      .then(function(task) {
+        return task.failure(new Error("Oops")).then(function() {
+          return vars.factory.getTaskStatus(task.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('failure');
+        expect(metadata.error).to.equal('Error: Oops');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+});
@@ -8,14 +8,14 @@ var vars = {}
 describe("Team Module", function() {
 
   before(function(done) {
-    flushRedis(done);
+    flushStore(done);
   });
 
 
   describe("#constructor", function() {
 
     it("creates a team with default options", function() {
-      var factory = vars.factory = new Factory("custom"),
+      var factory = vars.factory = new Factory("custom", cxnSettings),
           name = vars.name = "email",
           template = {
             work: function (task, done) {
@@ -92,4 +92,179 @@ describe("Team Module", function() {
 
   });
 
+
+
+  describe("#recover", function() {
+
+    // Uses its own type: other suites run teams for "email" in this process.
+    before(function() {
+      vars.stalled = new Team(vars.factory, "stalled", vars.procedure, {});
+    });
+
+    it("requeues tasks whose lease expired", function(done) {
+      var task;
+
+      vars.factory.createTask("stalled", {}, { lease : 0.01, maxAttempts : 2 })
+      .then(function(t) {
+        task = t;
+        return task.save();
+      })
+      .then(function() {
+        return task.activate();
+      })
+      .then(function() {
+        var deferred = require('when').defer();
+        setTimeout(function() { deferred.resolve(vars.stalled.recover()); }, 20);
+        return deferred.promise;
+      })
+      .then(function(ids) {
+        expect(ids).to.deep.equal([String(task.id)]);
+        return vars.factory.getTaskStatus(task.id);
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('waiting');
+        expect(metadata.attempts).to.equal(1);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("fails tasks without attempts left", function(done) {
+      var task;
+
+      vars.factory.createTask("stalled", {}, { lease : 0.01 })
+      .then(function(t) {
+        task = t;
+        return task.save();
+      })
+      .then(function() {
+        return task.activate();
+      })
+      .then(function() {
+        var deferred = require('when').defer();
+        setTimeout(function() { deferred.resolve(vars.stalled.recover()); }, 20);
+        return deferred.promise;
+      })
+      .then(function(ids) {
+        expect(ids).to.deep.equal([String(task.id)]);
+        return vars.factory.getTaskStatus(task.id);
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('failure');
+        expect(metadata.error).to.equal('Error: Task lease expired');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("ignores tasks with a valid lease", function(done) {
+      vars.factory.createTask("stalled", {})
+      .then(function(task) {
+        return task.save().then(function() { return task.activate(); });
+      })
+      .then(function() {
+        return vars.stalled.recover();
+      })
+      .should.eventually.deep.equal([]).and.notify(done);
+    });
+
+  });
+
+
+
+  describe("#promote", function() {
+
+    before(function() {
+      vars.delayed = new Team(vars.factory, "delayed", vars.procedure, {});
+    });
+
+    it("queues delayed tasks once they are due", function(done) {
+      var task;
+
+      vars.factory.createTask("delayed", {}, { delay : 0.2 })
+      .then(function(t) {
+        task = t;
+        return task.save();
+      })
+      .then(function() {
+        return vars.factory.getTaskStatus(task.id);
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('delayed');
+        expect(metadata.runAt).to.equal(metadata.created + 200);
+        return vars.delayed.promote();
+      })
+      .then(function(ids) {
+        expect(ids).to.deep.equal([]);
+        var deferred = require('when').defer();
+        setTimeout(function() { deferred.resolve(vars.delayed.promote()); }, 250);
+        return deferred.promise;
+      })
+      .then(function(ids) {
+        expect(ids).to.deep.equal([String(task.id)]);
+        return vars.factory.getTaskStatus(task.id);
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('waiting');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("queues tasks scheduled in the past immediately", function(done) {
+      vars.factory.createTask("delayed", {}, { runAt : new Date(Date.now() - 1000) })
+      .then(function(task) {
+        return task.save().then(function() {
+          return vars.factory.getTaskStatus(task.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('waiting');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("puts back delayed tasks that fail to be queued", function(done) {
+      var Task = require('../lib/task.js'),
+          queue = Task.prototype.queue,
+          task;
+
+      vars.factory.createTask("delayed", {}, { delay : 0.01 })
+      .then(function(t) {
+        task = t;
+        return task.save();
+      })
+      .then(function() {
+        var deferred = require('when').defer();
+        setTimeout(deferred.resolve, 20);
+        return deferred.promise;
+      })
+      .then(function() {
+        Task.prototype.queue = function() { return require('when').reject(new Error("Unavailable")); };
+        return vars.delayed.promote().ensure(function() { Task.prototype.queue = queue; });
+      })
+      .then(function(ids) {
+        expect(ids).to.deep.equal([]);
+        return vars.delayed.promote();
+      })
+      .then(function(ids) {
+        expect(ids).to.deep.equal([String(task.id)]);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("drops delayed tasks that no longer exist", function(done) {
+      var key = vars.factory.prefix + 'tasks:delayed:delayed';
+
+      vars.factory.execute(function(c) { return c.scheduleAdd(key, [Date.now(), 999999]); })
+      .then(function() {
+        return vars.delayed.promote();
+      })
+      .then(function(ids) {
+        expect(ids).to.deep.equal([]);
+        return vars.factory.execute(function(c) { return c.scheduleRange(key, 0, 0); });
+      })
+      .should.eventually.deep.equal([]).and.notify(done);
+    });
+
+  });
+
 });
+
@@ -0,0 +1,554 @@
+"use strict";
+
+// ### Memory transport test suite
+
+
+var when = require('when'),
+    Transport = require('../lib/transports/transport-memory.js'),
+    vars = {};
+
+describe("Memory Transport", function() {
+
+  before(function(done) {
+    Transport.flush();
+    vars.transport = new Transport({ transport : 'memory' });
+    vars.transport.createConnection(function(err, c) {
+      vars.c = c;
+      done(err);
+    });
+  });
+
+
+  describe("#hashes", function() {
+
+    it("increments a hash field", function(done) {
+      vars.c.hashIncrement('counters', 'task', 1)
+      .then(function(val) {
+        expect(val).to.equal(1);
+        return vars.c.hashIncrement('counters', 'task', 2);
+      })
+      .should.eventually.equal(3).and.notify(done);
+    });
+
+    it("stores values as strings", function(done) {
+      vars.c.hashMultiSet('hash', { a : 1, b : { c : true } })
+      .then(function() {
+        return vars.c.hashGetAll('hash');
+      })
+      .should.eventually.deep.equal({ a : '1', b : '{"c":true}' }).and.notify(done);
+    });
+
+    it("serializes values with hashSet", function(done) {
+      vars.c.hashSet('hash', 'd', { e : 1 })
+      .then(function() {
+        return vars.c.hashGet('hash', 'd');
+      })
+      .should.eventually.equal('{"e":1}').and.notify(done);
+    });
+
+    it("unsets hash fields", function(done) {
+      vars.c.hashUnset('hash', ['a', 'b', 'd'])
+      .then(function(removed) {
+        expect(removed).to.equal(3);
+        return vars.c.hashGetAll('hash');
+      })
+      .should.eventually.equal(null).and.notify(done);
+    });
+
+    it("returns null for missing fields", function(done) {
+      vars.c.hashGet('missing', 'field').should.eventually.equal(null).and.notify(done);
+    });
+
+    it("rejects operations against the wrong type", function(done) {
+      vars.c.push('list', ['a'])
+      .then(function() {
+        return vars.c.hashGet('list', 'field');
+      })
+      .should.be.rejected.and.notify(done);
+    });
+
+  });
+
+
+  describe("#lists", function() {
+
+    it("returns ranges of a list", function(done) {
+      vars.c.push('lines', ['a', 'b', 'c', 'd'])
+      .then(function() {
+        return vars.c.listRange('lines', 1, 2);
+      })
+      .then(function(values) {
+        expect(values).to.deep.equal(['b', 'c']);
+        return vars.c.listRange('lines', -2, -1);
+      })
+      .should.eventually.deep.equal(['c', 'd']).and.notify(done);
+    });
+
+    it("trims lists", function(done) {
+      vars.c.listTrim('lines', -3, -1)
+      .then(function() {
+        return vars.c.listRange('lines', 0, -1);
+      })
+      .should.eventually.deep.equal(['b', 'c', 'd']).and.notify(done);
+    });
+
+  });
+
+
+  describe("#sorted sets", function() {
+
+    it("pops the highest priority first, then FIFO", function(done) {
+      var popped = [],
+          pop = function() {
+            return vars.c.sortedPop('waiting').then(function(id) { popped.push(id); });
+          };
+
+      vars.c.sortedAdd('waiting', [0, 1, 10, 2, 0, 3, -10, 4, 10, 5])
+      .then(pop).then(pop).then(pop).then(pop).then(pop).then(pop)
+      .then(function() {
+        expect(popped).to.deep.equal(['2', '5', '1', '3', '4', undefined]);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("updates the score of existing members", function(done) {
+      vars.c.sortedAdd('waiting', [0, 1, 0, 2])
+      .then(function() {
+        return vars.c.sortedAdd('waiting', [20, 2]);
+      })
+      .then(function(added) {
+        expect(added).to.equal(0);
+        return vars.c.sortedPop('waiting');
+      })
+      .should.eventually.equal('2').and.notify(done);
+    });
+
+  });
+
+
+  describe("#blockPop", function() {
+
+    it("pops immediately when a value exists", function(done) {
+      vars.c.push('jobs', [1])
+      .then(function() {
+        return vars.c.blockPop('jobs', 0);
+      })
+      .should.eventually.deep.equal(['jobs', '1']).and.notify(done);
+    });
+
+    it("blocks until a value is pushed", function(done) {
+      var resolved = false,
+          promise = vars.c.blockPop('jobs', 0);
+
+      promise.then(function() { resolved = true; });
+
+      setTimeout(function() {
+        expect(resolved).to.equal(false);
+        vars.c.push('jobs', [2]);
+        promise.should.eventually.deep.equal(['jobs', '2']).and.notify(done);
+      }, 20);
+    });
+
+    it("serves blocked pops in order", function(done) {
+      var first = vars.c.blockPop(['jobs'], 0),
+          second = vars.c.blockPop(['jobs'], 0);
+
+      vars.c.push('jobs', [3, 4]);
+
+      first.should.eventually.deep.equal(['jobs', '3']);
+      second.should.eventually.deep.equal(['jobs', '4']).and.notify(done);
+    });
+
+    it("resolves with null after the timeout", function(done) {
+      this.timeout(2000);
+      vars.c.blockPop('empty', 1).should.eventually.equal(null).and.notify(done);
+    });
+
+  });
+
+
+  describe("#dequeue", function() {
+
+    it("pops a signal and the highest priority together", function(done) {
+      vars.c.sortedAdd('tasks:waiting', [0, 1, 10, 2])
+      .then(function() {
+        return vars.c.push('tasks', [1, 2]);
+      })
+      .then(function() {
+        return vars.c.dequeue('tasks', 'tasks:waiting', 0);
+      })
+      .then(function(id) {
+        expect(id).to.equal('2');
+        return vars.c.dequeue('tasks', 'tasks:waiting', 0);
+      })
+      .then(function(id) {
+        expect(id).to.equal('1');
+        return vars.c.hashGetAll('tasks');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("blocks until a signal is pushed", function(done) {
+      var resolved = false,
+          promise = vars.c.dequeue('tasks', 'tasks:waiting', 0);
+
+      promise.then(function() { resolved = true; });
+
+      vars.c.sortedAdd('tasks:waiting', [0, 3])
+      .then(function() {
+        expect(resolved).to.equal(false);
+        return vars.c.push('tasks', [3]);
+      })
+      .then(function() {
+        promise.should.eventually.equal('3').and.notify(done);
+      });
+    });
+
+    it("hands each id to a single competitor", function(done) {
+      var first = vars.c.dequeue('tasks', 'tasks:waiting', 0),
+          second = vars.c.dequeue('tasks', 'tasks:waiting', 1);
+
+      vars.c.sortedAdd('tasks:waiting', [0, 4])
+      .then(function() {
+        return vars.c.push('tasks', [4]);
+      })
+      .then(function() {
+        first.should.eventually.equal('4');
+        second.should.eventually.equal(null).and.notify(done);
+      });
+    });
+
+    it("discards stale signals", function(done) {
+      this.timeout(3000);
+      vars.c.push('tasks', [5])
+      .then(function() {
+        return vars.c.dequeue('tasks', 'tasks:waiting', 1);
+      })
+      .then(function(id) {
+        expect(id).to.equal(null);
+        return vars.c.blockPop('tasks', 1);
+      })
+      .should.eventually.equal(null).and.notify(done);
+    });
+
+  });
+
+
+  describe("#schedules", function() {
+
+    it("pops members that are due, earliest first", function(done) {
+      vars.c.scheduleAdd('delayed', [300, 'c', 100, 'a', 200, 'b'])
+      .then(function() {
+        return vars.c.schedulePop('delayed', 200);
+      })
+      .then(function(members) {
+        expect(members).to.deep.equal(['a', 'b']);
+        return vars.c.schedulePop('delayed', 1000);
+      })
+      .should.eventually.deep.equal(['c']).and.notify(done);
+    });
+
+    it("respects the limit", function(done) {
+      vars.c.scheduleAdd('delayed', [1, 'a', 2, 'b'])
+      .then(function() {
+        return vars.c.schedulePop('delayed', 10, 1);
+      })
+      .should.eventually.deep.equal(['a']).and.notify(done);
+    });
+
+    it("removes members", function(done) {
+      vars.c.scheduleRemove('delayed', ['b'])
+      .then(function(removed) {
+        expect(removed).to.equal(1);
+        return vars.c.schedulePop('delayed', 10);
+      })
+      .should.eventually.deep.equal([]).and.notify(done);
+    });
+
+    it("lists due members without removing them", function(done) {
+      vars.c.scheduleAdd('recurring', [100, 'a', 300, 'b'])
+      .then(function() {
+        return vars.c.scheduleDue('recurring', 200);
+      })
+      .then(function(due) {
+        expect(due).to.deep.equal([['a', 100]]);
+        return vars.c.scheduleDue('recurring', 200);
+      })
+      .should.eventually.deep.equal([['a', 100]]).and.notify(done);
+    });
+
+    it("advances a member only from its current time", function(done) {
+      vars.c.scheduleAdvance('recurring', 'a', 100, 400)
+      .then(function(moved) {
+        expect(moved).to.equal(1);
+        return vars.c.scheduleAdvance('recurring', 'a', 100, 500);
+      })
+      .then(function(moved) {
+        expect(moved).to.equal(0);
+        return vars.c.scheduleDue('recurring', 1000);
+      })
+      .should.eventually.deep.equal([['b', 300], ['a', 400]]).and.notify(done);
+    });
+
+  });
+
+
+  describe("#rateAcquire", function() {
+
+    it("takes slots until the window is full", function(done) {
+      vars.c.rateAcquire('rate', 'a', 2, 1000)
+      .then(function(wait) {
+        expect(wait).to.equal(0);
+        return vars.c.rateAcquire('rate', 'b', 2, 1000);
+      })
+      .then(function(wait) {
+        expect(wait).to.equal(0);
+        return vars.c.rateAcquire('rate', 'c', 2, 1000);
+      })
+      .then(function(wait) {
+        expect(wait).to.be.within(1, 1000);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("frees slots that are given back", function(done) {
+      vars.c.scheduleRemove('rate', ['b'])
+      .then(function() {
+        return vars.c.rateAcquire('rate', 'c', 2, 1000);
+      })
+      .should.eventually.equal(0).and.notify(done);
+    });
+
+  });
+
+
+  describe("#agedAdd", function() {
+
+    it("ranks members by priority without an aging setting", function(done) {
+      vars.c.agedAdd('unaged', [-10, 'low', 10, 'high'])
+      .then(function() {
+        return vars.c.sortedPop('unaged');
+      })
+      .should.eventually.equal('high').and.notify(done);
+    });
+
+    it("ranks members that waited longer higher", function(done) {
+      vars.c.agingSet('aged', 0.01)
+      .then(function() {
+        return vars.c.agedAdd('aged', [-10, 'old']);
+      })
+      .then(function() {
+        var deferred = when.defer();
+        setTimeout(deferred.resolve, 150);
+        return deferred.promise;
+      })
+      .then(function() {
+        return vars.c.agedAdd('aged', [0, 'new']);
+      })
+      .then(function() {
+        return vars.c.sortedPop('aged');
+      })
+      .should.eventually.equal('old').and.notify(done);
+    });
+
+    it("reports the current priority of members", function(done) {
+      vars.c.agedPriority('aged', 'new')
+      .then(function(priority) {
+        expect(priority).to.be.within(0, 5);
+        return vars.c.agedPriority('aged', 'old');
+      })
+      .should.eventually.equal(null).and.notify(done);
+    });
+
+    it("keeps the current priority of members when aging changes", function(done) {
+      vars.c.agedAdd('reaged', [5, 'plain'])
+      .then(function() {
+        return vars.c.agingSet('reaged', 0.01);
+      })
+      .then(function(changed) {
+        expect(changed).to.equal(1);
+        return vars.c.agedPriority('reaged', 'plain');
+      })
+      .then(function(priority) {
+        expect(priority).to.be.within(5, 10);
+        return vars.c.agingSet('reaged', 0.01);
+      })
+      .then(function(changed) {
+        expect(changed).to.equal(0);
+        return vars.c.agingSet('reaged', 0);
+      })
+      .then(function() {
+        return vars.c.agedPriority('reaged', 'plain');
+      })
+      .should.eventually.equal(null).and.notify(done);
+    });
+
+  });
+
+
+  describe("#sortedCount", function() {
+
+    it("counts the members of a sorted set", function(done) {
+      vars.c.sortedAdd('counted', [1, 'a', 2, 'b'])
+      .then(function() {
+        return vars.c.sortedCount('counted');
+      })
+      .should.eventually.equal(2).and.notify(done);
+    });
+
+    it("counts no members of a missing set", function(done) {
+      vars.c.sortedCount('uncounted').should.eventually.equal(0).and.notify(done);
+    });
+
+  });
+
+
+  describe("#semaphoreAcquire", function() {
+
+    it("sets leases until the limit is reached", function(done) {
+      var before = Date.now();
+
+      vars.c.semaphoreAcquire('leases', 'a', 2, 1000)
+      .then(function(acquired) {
+        expect(acquired).to.equal(1);
+        return vars.c.hashGet('leases', 'a');
+      })
+      .then(function(expires) {
+        expect(Number(expires)).to.be.within(before + 1000, Date.now() + 1000);
+        return vars.c.semaphoreAcquire('leases', 'b', 2, 1000);
+      })
+      .then(function(acquired) {
+        expect(acquired).to.equal(1);
+        return vars.c.semaphoreAcquire('leases', 'c', 2, 1000);
+      })
+      .should.eventually.equal(0).and.notify(done);
+    });
+
+    it("does not count expired leases", function(done) {
+      vars.c.hashSet('leases', 'b', Date.now() - 1)
+      .then(function() {
+        return vars.c.semaphoreAcquire('leases', 'c', 2, 1000);
+      })
+      .should.eventually.equal(1).and.notify(done);
+    });
+
+  });
+
+
+  describe("#leases", function() {
+
+    it("sets leases from now", function(done) {
+      var before = Date.now();
+
+      vars.c.leaseSet('renewed', 'a', 1000)
+      .then(function() {
+        return vars.c.hashGet('renewed', 'a');
+      })
+      .then(function(expires) {
+        expect(Number(expires)).to.be.within(before + 1000, Date.now() + 1000);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("lists expired leases", function(done) {
+      vars.c.hashSet('renewed', 'b', Date.now() - 1)
+      .then(function() {
+        return vars.c.leaseExpired('renewed');
+      })
+      .should.eventually.deep.equal(['b']).and.notify(done);
+    });
+
+    it("lists no leases of a missing hash", function(done) {
+      vars.c.leaseExpired('unleased').should.eventually.deep.equal([]).and.notify(done);
+    });
+
+  });
+
+
+  describe("#historyPush", function() {
+
+    it("numbers entries and keeps the latest", function(done) {
+      vars.c.hashSet('owner', 'id', 1)
+      .then(function() {
+        return vars.c.historyPush('history', { event : 'a' }, 2, 'history:seq', 'owner');
+      })
+      .then(function(seq) {
+        expect(seq).to.equal(1);
+        return vars.c.historyPush('history', { event : 'b' }, 2, 'history:seq', 'owner');
+      })
+      .then(function() {
+        return vars.c.historyPush('history', { event : 'c' }, 2, 'history:seq', 'owner');
+      })
+      .then(function(seq) {
+        expect(seq).to.equal(3);
+        return vars.c.listRange('history', 0, -1);
+      })
+      .then(function(entries) {
+        expect(entries).to.deep.equal(['{"seq":2,"event":"b"}', '{"seq":3,"event":"c"}']);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("appends nothing without its owner", function(done) {
+      vars.c.historyPush('orphaned', { event : 'a' }, 2, 'orphaned:seq', 'missing')
+      .then(function(seq) {
+        expect(seq).to.be.null;
+        return vars.c.listRange('orphaned', 0, -1);
+      })
+      .should.eventually.deep.equal([]).and.notify(done);
+    });
+
+  });
+
+
+  describe("#pipeline", function() {
+
+    it("runs calls in order and resolves with their results", function(done) {
+      vars.c.pipeline([
+        ['hashSet', ['piped', 'a', 1]],
+        ['hashIncrement', ['piped', 'a', 2]],
+        ['hashGet', ['piped', 'a']]
+      ])
+      .should.eventually.deep.equal([1, 3, '3']).and.notify(done);
+    });
+
+  });
+
+
+  describe("#expire", function() {
+
+    it("removes keys after their time to live", function(done) {
+      vars.c.hashSet('expiring', 'a', 1)
+      .then(function() {
+        return vars.c.expire('expiring', 0.01);
+      })
+      .then(function(res) {
+        expect(res).to.equal(1);
+        setTimeout(function() {
+          vars.c.hashGetAll('expiring').should.eventually.equal(null).and.notify(done);
+        }, 20);
+      });
+    });
+
+  });
+
+
+  describe("#publish", function() {
+
+    it("delivers messages to subscribers", function(done) {
+      vars.transport.createConnection(function(err, subscriber) {
+        subscriber.client.subscribe('events');
+        subscriber.client.on('message', function(channel, message) {
+          expect(channel).to.equal('events');
+          expect(message).to.equal('hello');
+          subscriber.client.end();
+          done();
+        });
+
+        vars.c.publish('events', 'hello').should.eventually.equal(1);
+      });
+    });
+
+  });
+
+});
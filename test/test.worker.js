@@ -0,0 +1,239 @@
+"use strict";
+
+// ### Worker test suite
+
+
+var Worker = require('../lib/worker.js'),
+    errors = require('../lib/errors.js'),
+    vars = {}
+
+describe("Worker Module", function() {
+
+  before(function(done) {
+    vars.factory = new Factory("workers", cxnSettings);
+    flushStore(done);
+  });
+
+
+  // Creates and saves a task of a procedure's type, and returns a worker for it.
+  var makeWorker = function(procedure, options) {
+    return vars.factory.createTask(procedure.name, {}, options).then(function(task) {
+      return task.save().then(function() {
+        return new Worker(vars.factory, task.id, procedure);
+      });
+    });
+  };
+
+
+  describe("#work", function() {
+
+    it("completes a task", function(done) {
+      var procedure = vars.factory.addProcedure("quick", function(task, done) { done(); });
+
+      makeWorker(procedure)
+      .then(function(worker) {
+        return worker.work().then(function() {
+          return vars.factory.getTaskStatus(worker.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('success');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("completes a task whose work returns a promise", function(done) {
+      var procedure = vars.factory.addProcedure("promised", async function(task) {
+        return { answer : 42 };
+      });
+
+      makeWorker(procedure)
+      .then(function(worker) {
+        return worker.work().then(function() {
+          return vars.factory.getTaskStatus(worker.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('success');
+        expect(metadata.result).to.deep.equal({ answer : 42 });
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("fails a task whose work rejects", function(done) {
+      var procedure = vars.factory.addProcedure("broken", async function(task) {
+        throw new Error("Rejected");
+      });
+
+      makeWorker(procedure)
+      .then(function(worker) {
+        return worker.work().then(function() {
+          throw new Error("Should have failed");
+        }, function(err) {
+          expect(err.message).to.equal("Rejected");
+          return vars.factory.getTaskStatus(worker.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('failure');
+        expect(metadata.error).to.equal('Error: Rejected');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("fails a task whose work throws", function(done) {
+      var procedure = vars.factory.addProcedure("throwing", function(task, done) {
+        throw new Error("Thrown");
+      });
+
+      makeWorker(procedure)
+      .then(function(worker) {
+        return worker.work().then(function() {
+          throw new Error("Should have failed");
+        }, function(err) {
+          expect(err.message).to.equal("Thrown");
+          return vars.factory.getTaskStatus(worker.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('failure');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("fails a task that exceeds its timeout", function(done) {
+      var late = null,
+          timedOut = false,
+          procedure = vars.factory.addProcedure("slow", {
+            timeout : function() { timedOut = true; },
+            work : function(task, done) { late = done; }
+          }, { timeout : 0.05 });
+
+      makeWorker(procedure)
+      .then(function(worker) {
+        var ended = false;
+        worker.on('end', function() { ended = true; });
+
+        return worker.work().then(function() {
+          throw new Error("Should have timed out");
+        }, function(err) {
+          expect(err).to.be.an.instanceof(errors.TimeoutError);
+          expect(timedOut).to.equal(true);
+          expect(ended).to.equal(true);
+
+          // A late done is ignored
+          late();
+          return vars.factory.getTaskStatus(worker.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('failure');
+        expect(metadata.error).to.equal('TimeoutError: Task timed out after 0.05 seconds');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("uses the task's timeout over the procedure's", function(done) {
+      var procedure = vars.factory.addProcedure("slower", function(task, done) {
+        setTimeout(done, 100);
+      }, { timeout : 0.05 });
+
+      makeWorker(procedure, { timeout : 1 })
+      .then(function(worker) {
+        return worker.work().then(function() {
+          return vars.factory.getTaskStatus(worker.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('success');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("stops a task that is cancelled while running", function(done) {
+      var running = null,
+          procedure = vars.factory.addProcedure("endless", function(task, done) {
+            running = task;
+          });
+
+      makeWorker(procedure)
+      .then(function(worker) {
+        var promise = worker.work();
+
+        var cancel = setInterval(function() {
+          if (!running) return;
+          clearInterval(cancel);
+          vars.factory.cancelTask(worker.id);
+        }, 5);
+
+        return promise.then(function() {
+          throw new Error("Should have been cancelled");
+        }, function(err) {
+          expect(err).to.be.an.instanceof(errors.CancelledError);
+          expect(running.cancelled).to.equal(true);
+          return vars.factory.getTaskStatus(worker.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('cancelled');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("keeps the cancelled state over a late activation", function(done) {
+      var running = null,
+          procedure = vars.factory.addProcedure("overtaken", function(task, done) {
+            running = task;
+          });
+
+      makeWorker(procedure)
+      .then(function(worker) {
+        var promise = worker.work();
+
+        // The task is cancelled, then activated again as if dequeued meanwhile
+        var cancel = setInterval(function() {
+          if (!running) return;
+          clearInterval(cancel);
+
+          vars.factory.getTask(worker.id)
+          .then(function(task) { return task.finalize('cancelled', 0); })
+          .then(function() { return running.info({ state : 'active' }); })
+          .then(function() { running.emit('cancel'); });
+        }, 5);
+
+        return promise.otherwise(function(err) {
+          expect(err).to.be.an.instanceof(errors.CancelledError);
+          return vars.factory.getTaskStatus(worker.id);
+        });
+      })
+      .then(function(metadata) {
+        expect(metadata.state).to.equal('cancelled');
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+    it("skips a task cancelled before it starts", function(done) {
+      var started = false,
+          procedure = vars.factory.addProcedure("skipped", function(task, done) {
+            started = true;
+            done();
+          });
+
+      makeWorker(procedure)
+      .then(function(worker) {
+        return vars.factory.cancelTask(worker.id).then(function() {
+          return worker.work();
+        });
+      })
+      .then(function() {
+        throw new Error("Should have been cancelled");
+      }, function(err) {
+        expect(err).to.be.an.instanceof(errors.CancelledError);
+        expect(started).to.equal(false);
+      })
+      .should.be.fulfilled.and.notify(done);
+    });
+
+  });
+
+});